@@ -21,18 +21,536 @@ const allowedAttributes = {
 	type: "type",
 	info: "data-info",
 	action: "data-action",
-	tabindex: "tabindex"
+	tabindex: "tabindex",
+	id: "id",
+	role: "role",
+	part: "part"
 };
 
+// Locale packs with the text shown by the control, keyed by lowercase language tag
+//
+// Messages with a {count} can have a form for each plural category of the locale, missing messages fall back to English.
+const locales = {
+	en: {
+		placeholder: "Select...",
+		searchPlaceholder: "Search...",
+		required: "Please select an option.",
+		min: {one: "Please select at least {count} option.", other: "Please select at least {count} options."},
+		max: {one: "Please select no more than {count} option.", other: "Please select no more than {count} options."},
+		loading: "Loading...",
+		noResults: "No results found",
+		create: "Add “{label}”",
+		maxReached: {one: "You can only select {count} option", other: "You can only select {count} options"},
+		summary: "{count} selected",
+		selectAll: "Select all",
+		clearAll: "Clear all",
+		selected: "{label} selected",
+		removed: "{label} removed",
+		results: {one: "{count} result available", other: "{count} results available"},
+		remove: "Remove {label}",
+		moved: "{label} moved to position {position} of {count}",
+		search: "Search options"
+	},
+	de: {
+		placeholder: "Auswählen...",
+		searchPlaceholder: "Suchen...",
+		required: "Bitte wählen Sie eine Option aus.",
+		min: {one: "Bitte wählen Sie mindestens {count} Option aus.", other: "Bitte wählen Sie mindestens {count} Optionen aus."},
+		max: {one: "Bitte wählen Sie höchstens {count} Option aus.", other: "Bitte wählen Sie höchstens {count} Optionen aus."},
+		loading: "Wird geladen...",
+		noResults: "Keine Ergebnisse gefunden",
+		create: "„{label}“ hinzufügen",
+		maxReached: {one: "Sie können nur {count} Option auswählen", other: "Sie können nur {count} Optionen auswählen"},
+		summary: "{count} ausgewählt",
+		selectAll: "Alle auswählen",
+		clearAll: "Alle entfernen",
+		selected: "{label} ausgewählt",
+		removed: "{label} entfernt",
+		results: {one: "{count} Ergebnis verfügbar", other: "{count} Ergebnisse verfügbar"},
+		remove: "{label} entfernen",
+		moved: "{label} an Position {position} von {count} verschoben",
+		search: "Optionen durchsuchen"
+	},
+	es: {
+		placeholder: "Seleccionar...",
+		searchPlaceholder: "Buscar...",
+		required: "Seleccione una opción.",
+		min: {one: "Seleccione al menos {count} opción.", other: "Seleccione al menos {count} opciones."},
+		max: {one: "Seleccione como máximo {count} opción.", other: "Seleccione como máximo {count} opciones."},
+		loading: "Cargando...",
+		noResults: "No se encontraron resultados",
+		create: "Añadir «{label}»",
+		maxReached: {one: "Solo puede seleccionar {count} opción", other: "Solo puede seleccionar {count} opciones"},
+		summary: {one: "{count} seleccionada", other: "{count} seleccionadas"},
+		selectAll: "Seleccionar todo",
+		clearAll: "Borrar todo",
+		selected: "{label} seleccionada",
+		removed: "{label} eliminada",
+		results: {one: "{count} resultado disponible", other: "{count} resultados disponibles"},
+		remove: "Eliminar {label}",
+		moved: "{label} movida a la posición {position} de {count}",
+		search: "Buscar opciones"
+	},
+	fr: {
+		placeholder: "Sélectionner...",
+		searchPlaceholder: "Rechercher...",
+		required: "Veuillez sélectionner une option.",
+		min: {one: "Veuillez sélectionner au moins {count} option.", other: "Veuillez sélectionner au moins {count} options."},
+		max: {one: "Veuillez sélectionner au plus {count} option.", other: "Veuillez sélectionner au plus {count} options."},
+		loading: "Chargement...",
+		noResults: "Aucun résultat",
+		create: "Ajouter « {label} »",
+		maxReached: {one: "Vous ne pouvez sélectionner que {count} option", other: "Vous ne pouvez sélectionner que {count} options"},
+		summary: {one: "{count} sélectionnée", other: "{count} sélectionnées"},
+		selectAll: "Tout sélectionner",
+		clearAll: "Tout effacer",
+		selected: "{label} sélectionnée",
+		removed: "{label} retirée",
+		results: {one: "{count} résultat disponible", other: "{count} résultats disponibles"},
+		remove: "Retirer {label}",
+		moved: "{label} déplacée en position {position} sur {count}",
+		search: "Rechercher des options"
+	}
+};
+
+// Number of controls created, used to give each one unique ids
+let instanceCount = 0;
+
+// The controls created for each host element
+const instances = new WeakMap();
+
+// Handlers registered for the action options of every control
+const actionHandlers = new Map();
+
+// Selector for the elements initialized from their data attributes
+const dataSelector = "[data-multi-select2]";
+
+// Data attributes that switch on a feature of the control
+const dataFlags = ["multiple", "autocomplete", "disabled", "readonly"];
+
+// Default delay in milliseconds before loading remote options while typing
+const defaultLoadDelay = 300;
+
+// Default height in pixels of an option when using virtual scrolling
+const defaultOptionHeight = 30;
+
+// Number of extra options rendered above and below the visible ones when using virtual scrolling
+const virtualOverscan = 5;
+
+// Space in pixels kept between the options dropdown and the edges of the viewport
+const viewportMargin = 8;
+
+// Delay in milliseconds before the characters typed to jump to an option are forgotten
+const typeaheadDelay = 500;
+
+// Keys for each keyboard action, which can be changed with the keymap option
+const defaultKeymap = {
+	open: ["Enter", "Space", "ArrowDown", "ArrowUp", "Alt+ArrowDown"],
+	close: ["Escape", "Alt+ArrowUp"],
+	next: ["ArrowDown"],
+	previous: ["ArrowUp"],
+	first: ["Home", "PageUp"],
+	last: ["End", "PageDown"],
+	select: ["Enter"],
+	toggle: ["Space"],
+	extendNext: ["Shift+ArrowDown"],
+	extendPrevious: ["Shift+ArrowUp"],
+	chipPrevious: ["ArrowLeft"],
+	chipNext: ["ArrowRight"],
+	movePrevious: ["Ctrl+ArrowLeft"],
+	moveNext: ["Ctrl+ArrowRight"],
+	remove: ["Delete", "Backspace"]
+};
+
+// Key names used by older browsers, and the standard names they match
+const legacyKeys = {
+	Spacebar: " ",
+	Esc: "Escape",
+	Down: "ArrowDown",
+	Up: "ArrowUp",
+	Left: "ArrowLeft",
+	Right: "ArrowRight",
+	Del: "Delete"
+};
+
+// Key names for browsers that only report key codes
+const keyCodes = {
+	8: "Backspace",
+	9: "Tab",
+	13: "Enter",
+	27: "Escape",
+	32: " ",
+	33: "PageUp",
+	34: "PageDown",
+	35: "End",
+	36: "Home",
+	37: "ArrowLeft",
+	38: "ArrowUp",
+	39: "ArrowRight",
+	40: "ArrowDown",
+	46: "Delete"
+};
+
+/**
+ * Escape text so it can be safely used as HTML
+ */
+function escapeHtml(text) {
+	return String(text)
+		.replace(/&/g, "&amp;")
+		.replace(/</g, "&lt;")
+		.replace(/>/g, "&gt;")
+		.replace(/"/g, "&quot;")
+		.replace(/'/g, "&#39;");
+}
+
+/**
+ * Get the text for a value in the page and in forms, object values are written as JSON
+ */
+function getValueKey(value) {
+	if (value === undefined || value === null) {
+		return "";
+	}
+	return typeof value === "object" ? JSON.stringify(value) : value.toString();
+}
+
+/**
+ * Expose the open state of a control to assistive technology
+ *
+ * The control is the combobox while it is closed. While the dropdown is open its autocomplete field, if
+ * it has one, takes over the combobox role and the control only groups it with the selected values.
+ */
+function setExpanded(select, autocomplete, expanded) {
+	const grouped = !!autocomplete && expanded;
+	select.setAttribute("role", grouped ? "group" : "combobox");
+	if (grouped) {
+		["aria-haspopup", "aria-expanded", "aria-controls"].forEach(_name => select.removeAttribute(_name));
+	} else {
+		select.setAttribute("aria-haspopup", "listbox");
+		select.setAttribute("aria-expanded", expanded.toString());
+		select.setAttribute("aria-controls", `${select.id}-listbox`);
+	}
+	if (autocomplete) {
+		autocomplete.setAttribute("aria-expanded", expanded.toString());
+	}
+}
+
+/**
+ * MultiSelectTemplate
+ *
+ * HTML created by MultiSelect2.html, with the interpolated values already escaped
+ */
+class MultiSelectTemplate {
+	constructor(html) {
+		this.html = html;
+	}
+
+	/**
+	 * Get the HTML of the template
+	 */
+	toString() {
+		return this.html;
+	}
+}
+
+/**
+ * MultiSelectSearch
+ *
+ * Matches options against the text typed in the autocomplete field, ignoring case and accents
+ */
+class MultiSelectSearch {
+	constructor(config = {}) {
+		this._fields = config.searchFields || ["label"];
+		this._fuzzy = !!config.fuzzy;
+		this._filter = config.filter;
+	}
+
+	/**
+	 * Remove the case and accents from text
+	 */
+	static normalize(text) {
+		return MultiSelectSearch.fold(text).text;
+	}
+
+	/**
+	 * Remove the case and accents from text, keeping the position in the original text of each character
+	 */
+	static fold(text) {
+		const original = String(text);
+		let folded = "";
+		const positions = [];
+		let position = 0;
+		for (const character of original) {
+			const foldedCharacter = character.normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+			for (let i = 0; i < foldedCharacter.length; i++) {
+				positions.push(position);
+			}
+			folded += foldedCharacter;
+			position += character.length;
+		}
+		positions.push(position);
+		return {text: folded, positions};
+	}
+
+	/**
+	 * Score how well an option matches a query, with 0 meaning it doesn't match
+	 */
+	score(option, query) {
+		// Every option matches an empty query, which is also used to show them all again after selecting one
+		const tokens = this._tokenize(query);
+		if (!tokens.length) {
+			return 1;
+		}
+
+		if (this._filter) {
+			const result = this._filter(option, query);
+			return typeof result === "number" ? result : (result ? 1 : 0);
+		}
+
+		// Every word of the query has to match one of the search fields
+		const fields = this._fields
+			.filter(_field => option[_field] !== undefined && option[_field] !== null)
+			.map(_field => MultiSelectSearch.normalize(option[_field]));
+		let total = 0;
+		for (const token of tokens) {
+			const best = Math.max(0, ...fields.map(_field => this._scoreToken(_field, token)));
+			if (!best) {
+				return 0;
+			}
+			total += best;
+		}
+		return total / tokens.length;
+	}
+
+	/**
+	 * Get the HTML for text with the parts matching the query highlighted
+	 */
+	highlight(text, query) {
+		const tokens = this._tokenize(query);
+		if (!tokens.length) {
+			return String(text);
+		}
+
+		// Find the ranges of the original text matching each word of the query
+		const original = String(text);
+		const folded = MultiSelectSearch.fold(original);
+		const ranges = [];
+		tokens.forEach(_token => {
+			let index = folded.text.indexOf(_token);
+			// eslint-disable-next-line no-magic-numbers
+			while (index !== -1) {
+				ranges.push([folded.positions[index], folded.positions[index + _token.length]]);
+				index = folded.text.indexOf(_token, index + _token.length);
+			}
+		});
+		ranges.sort((a, b) => a[0] - b[0]);
+
+		let html = "";
+		let position = 0;
+		ranges.forEach(([start, end]) => {
+			if (end <= position) {
+				return;
+			}
+			start = Math.max(start, position);
+			html += escapeHtml(original.slice(position, start)) +
+				`<mark class="multi-select__highlight">${escapeHtml(original.slice(start, end))}</mark>`;
+			position = end;
+		});
+		return new MultiSelectTemplate(html + escapeHtml(original.slice(position)));
+	}
+
+	/**
+	 * Split a query into its words
+	 */
+	_tokenize(query) {
+		return MultiSelectSearch.normalize(query).split(/\s+/).filter(_token => _token);
+	}
+
+	/**
+	 * Score a word of the query against a field, ranking prefixes above matches inside words
+	 */
+	_scoreToken(field, token) {
+		const index = field.indexOf(token);
+		if (index === 0) {
+			return field.length === token.length ? 1 : 0.9;
+		}
+		// eslint-disable-next-line no-magic-numbers
+		if (index !== -1) {
+			return /[\s\-_.,/()]/.test(field[index - 1]) ? 0.8 : 0.6;
+		}
+		return this._fuzzy ? this._scoreFuzzy(field, token) : 0;
+	}
+
+	/**
+	 * Score a word of the query that contains typos against a field
+	 */
+	_scoreFuzzy(field, token) {
+		// Allow more typos as the word gets longer
+		// eslint-disable-next-line no-magic-numbers
+		const allowed = token.length >= 8 ? 2 : (token.length >= 4 ? 1 : 0);
+		let best = 0;
+		if (allowed) {
+			field.split(/[\s\-_.,/()]+/).forEach(_word => {
+				[token.length - 1, token.length, token.length + 1].forEach(_length => {
+					const distance = this._distance(token, _word.slice(0, _length));
+					if (distance <= allowed) {
+						// eslint-disable-next-line no-magic-numbers
+						best = Math.max(best, 0.5 - distance * 0.1);
+					}
+				});
+			});
+		}
+
+		// Fall back to the characters of the word appearing in order
+		let position = 0;
+		for (const character of token) {
+			position = field.indexOf(character, position) + 1;
+			if (!position) {
+				return best;
+			}
+		}
+		// eslint-disable-next-line no-magic-numbers
+		return Math.max(best, 0.2);
+	}
+
+	/**
+	 * Get the number of edits, including swapping two characters, needed to turn one word into another
+	 */
+	_distance(a, b) {
+		const rows = [];
+		for (let i = 0; i <= a.length; i++) {
+			rows[i] = [i];
+		}
+		for (let j = 1; j <= b.length; j++) {
+			rows[0][j] = j;
+		}
+		for (let i = 1; i <= a.length; i++) {
+			for (let j = 1; j <= b.length; j++) {
+				const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+				rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+				// eslint-disable-next-line no-magic-numbers
+				if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+					// eslint-disable-next-line no-magic-numbers
+					rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+				}
+			}
+		}
+		return rows[a.length][b.length];
+	}
+}
+
+/**
+ * MultiSelectPosition
+ *
+ * Keeps the options dropdown next to the control, flipping it above the control when there is no room below
+ */
+class MultiSelectPosition {
+	constructor(anchor, dropdown, config = {}) {
+		this._anchor = anchor;
+		this._dropdown = dropdown;
+		this._placement = config.placement || "auto";
+		this._maxHeight = config.maxHeight;
+		this._boundUpdate = this.update.bind(this);
+		this._boundHandleScroll = this._handleScroll.bind(this);
+
+		// Move the dropdown out of the control, so it isn't clipped by containers hiding their overflow
+		const container = typeof config.dropdownParent === "string" ?
+			document.querySelector(config.dropdownParent) : config.dropdownParent;
+		if (container) {
+			this._container = container;
+			this._dropdown.classList.add("multi-select__options--portal");
+			container.appendChild(this._dropdown);
+		}
+	}
+
+	/**
+	 * Start following the control while the dropdown is open
+	 */
+	start() {
+		window.addEventListener("resize", this._boundUpdate);
+		document.addEventListener("scroll", this._boundHandleScroll, true);
+		// Follow the control growing as selected values wrap, and the dropdown as the options are filtered
+		if (typeof ResizeObserver !== "undefined") {
+			this._observer = new ResizeObserver(this._boundUpdate);
+			this._observer.observe(this._anchor);
+			Array.from(this._dropdown.children).forEach(_child => this._observer.observe(_child));
+		}
+		this.update();
+	}
+
+	/**
+	 * Stop following the control once the dropdown is closed
+	 */
+	stop() {
+		window.removeEventListener("resize", this._boundUpdate);
+		document.removeEventListener("scroll", this._boundHandleScroll, true);
+		if (this._observer) {
+			this._observer.disconnect();
+			this._observer = null;
+		}
+	}
+
+	/**
+	 * Stop following the control, and remove the dropdown if it was moved out of the control
+	 */
+	destroy() {
+		this.stop();
+		if (this._container) {
+			this._dropdown.remove();
+		}
+	}
+
+	/**
+	 * Place the dropdown above or below the control, limiting its height to the space available
+	 */
+	update() {
+		const anchor = this._anchor.getBoundingClientRect();
+		const viewportHeight = document.documentElement.clientHeight || window.innerHeight;
+
+		// Read the maximum height from the stylesheet before it is replaced by the space available
+		if (this._cssMaxHeight === undefined) {
+			this._cssMaxHeight = parseFloat(window.getComputedStyle(this._dropdown).maxHeight) || Infinity;
+		}
+		const maxHeight = this._maxHeight || this._cssMaxHeight;
+		const height = Math.min(this._dropdown.scrollHeight, maxHeight);
+
+		// Flip above the control when there isn't room below it and there is more room above
+		const below = viewportHeight - anchor.bottom - viewportMargin;
+		const above = anchor.top - viewportMargin;
+		const placeAbove = this._placement === "top" || (this._placement === "auto" && below < height && above > below);
+		const space = placeAbove ? above : below;
+
+		const style = this._dropdown.style;
+		style.maxHeight = `${Math.max(0, Math.min(maxHeight, space))}px`;
+		this._dropdown.classList.toggle("multi-select__options--above", placeAbove);
+
+		// Dropdowns moved out of the control are placed relative to the viewport
+		if (this._container) {
+			style.left = `${anchor.left}px`;
+			style.width = `${anchor.width}px`;
+			style.top = placeAbove ? "" : `${anchor.bottom}px`;
+			style.bottom = placeAbove ? `${viewportHeight - anchor.top}px` : "";
+		}
+	}
+
+	/**
+	 * Handle the page or a container of the control being scrolled
+	 */
+	_handleScroll(event) {
+		// Scrolling through the options doesn't move the control
+		if (event.target !== this._dropdown && !this._dropdown.contains(event.target)) {
+			this.update();
+		}
+	}
+}
+
 /**
  * MultiSelectElement
  *
  * Element wrapper clas to make working with elements easier
  */
 class MultiSelectElement {
-	constructor(element, attributes = {}, i18n = {}) {
+	constructor(element, attributes = {}) {
 		this._node = element instanceof HTMLElement ? element : document.createElement(element);
-		this._config = { i18n };
 
 		this._setAttributes(attributes);
 
@@ -77,8 +595,8 @@ class MultiSelectElement {
 	/**
 	 * Toggle a class on the element
 	 */
-	toggleClass(className) {
-		this._node.classList.toggle(className);
+	toggleClass(className, force) {
+		this._node.classList.toggle(className, force);
 		return this;
 	}
 
@@ -93,33 +611,47 @@ class MultiSelectElement {
 	/**
 	 * Remove an event listener from the element
 	 */
-	removeEventListener(type, callback) {
-		this._node.removeEventListener(type, callback);
+	removeEventListener(type, callback, capturer=false) {
+		this._node.removeEventListener(type, callback, capturer);
 		return this;
 	}
 
 	/**
-	 * Set the text content for the element
+	 * Set an attribute on the element
 	 */
-	setText(text) {
-		this._node.textContent = text;
+	setAttribute(key, value) {
+		this._setAttribute(key, value);
 		return this;
 	}
 
 	/**
-	 * Get the height of the element
+	 * Remove an attribute from the element
 	 */
-	getHeight() {
-		return window.getComputedStyle(this._node).height;
+	removeAttribute(key) {
+		this._node.removeAttribute(key);
+		return this;
 	}
 
 	/**
-	 * Set the top position of the element
-	 *
-	 * TODO: Change this to use responsive measurements
+	 * Set the text content for the element
+	 */
+	setText(text) {
+		this._node.textContent = text;
+		return this;
+	}
+
+	/**
+	 * Set the content of the element from a node, a template or text
 	 */
-	setTop(top) {
-		this._node.style.top = `${top}px`;
+	setContent(content) {
+		if (content instanceof Node) {
+			this._node.textContent = "";
+			this._node.appendChild(content);
+		} else if (content instanceof MultiSelectTemplate) {
+			this._node.innerHTML = content.html;
+		} else {
+			this._node.textContent = content === undefined || content === null ? "" : content;
+		}
 		return this;
 	}
 
@@ -159,650 +691,3279 @@ class MultiSelect2 {
 		this._config = {...config};
 		this._state = {
 			opened: false,
+			disabled: false,
+			readOnly: false,
+			destroyed: false,
+			validated: false,
+			query: "",
+			active: -1,
+			anchor: -1,
 		};
 		this._icons = [];
 		this.currentFocus = -1
+		this._id = `multi-select-${++instanceCount}`;
+		this._optionCount = 0;
 
 		// Prepare event listeners for later use
 		this._boundHandleClick = this._handleClick.bind(this);
-		this._boundHandleKeyUp = this._handleKeyUp.bind(this);
+		this._boundHandleKeyDown = this._handleKeyDown.bind(this);
+		this._boundHandleMouseDown = this._handleMouseDown.bind(this);
 		this._boundHandleCloseClick = this._handleCloseClick.bind(this);
-		this._boundPreventDefaultAction = this._preventDefaultAction.bind(this);
 		this._boundUnselectOption = this._unselectOption.bind(this);
 		this._boundSortOptions = this._sortOptions.bind(this);
+		this._boundHandleReset = this._handleReset.bind(this);
+		this._boundHandleInvalid = this._handleInvalid.bind(this);
+		this._boundRenderVirtual = this._renderVirtual.bind(this);
+		this._boundHandleCreateInput = this._handleCreateInput.bind(this);
+		this._boundHandlePaste = this._handlePaste.bind(this);
+		this._boundHandleDragStart = this._handleDragStart.bind(this);
+		this._boundHandleDragMove = this._handleDragMove.bind(this);
+		this._boundHandleDragEnd = this._handleDragEnd.bind(this);
+		this._boundHandleParentChange = this._handleParentChange.bind(this);
 
-		// Get a reference to the body element
-		this._body = new MultiSelectElement(document.body);
-
-		this._create(element);
-		this._setValue();
-	}
+		// Read the keys used for each keyboard action
+		this._keymap = this._parseKeymap(this._config.keymap);
+		this._typed = {text: "", timer: null};
 
-	/**
-	 * Create the control
-	 */
-	_create(_element) {
-		// Get the div this control will replace
-		const element = typeof _element === "string" ? document.querySelector(_element) : _element;
+		// Read the config from the data attributes, the config passed in takes precedence
+		const host = typeof element === "string" ? document.querySelector(element) : element;
 
-		// Create the various parts of the control
-		this._parent = new MultiSelectElement(element);
-		this._select = new MultiSelectElement("div", {class: "multi-select__select", tabindex: "0"});
-		this._selected_value = new MultiSelectElement("span", {class: "multi-select__label"});
-		this._optionsDiv = new MultiSelectElement("div", {class: "multi-select__options"});
-		this._dropIcon = new MultiSelectElement("i", {class: "fa fa-caret-down multi-select__drop_icon"});
+		// Creating a control for an element that already has one replaces it
+		const existing = MultiSelect2.getInstance(host);
+		if (existing) {
+			existing.destroy();
+		}
 
-		// Add the parts together to create the full control
-		this._select.append(this._selected_value.get());
-		this._select.append(this._optionsDiv.get());
-		this._select.append(this._dropIcon.get());
-		this._parent.append(this._select.get());
+		if (host && host.matches(dataSelector)) {
+			this._readDataAttributes(host);
+		}
 
-		// Generate the list of options from the config
-		this._options = this._generateOptionsOfSelect();
+		// Read the options and value from a native select element
+		if (host instanceof HTMLSelectElement) {
+			this._readNativeSelect(host);
+		}
 
-		// Add event listeners to the control
-		this._select.addEventListener("click", this._boundHandleClick, true);
-		this._select.addEventListener("keyup", this._boundHandleKeyUp);
-		this._optionsDiv.addEventListener("keyup", this._boundHandleKeyUp, true);
-		this._body.addEventListener("keydown", this._boundPreventDefaultAction);
-		document.addEventListener("click", this._boundHandleCloseClick, true);
+		if (!this._config.options) {
+			this._config.options = [];
+		}
 
-		// Add a class if multiple items can be selected
-		if (this._config.multiple) {
-			this._select.addClass("multi-select__select--multiple");
+		// Flatten nested groups into group headers followed by their options
+		if (this._config.groups) {
+			this._config.options = this._config.options.concat(this._flattenGroups(this._config.groups));
 		}
-	}
 
-	/**
-	 * Generate the list of options that can be selected
-	 */
-	_generateOptionsOfSelect() {
-		// If using autocomplete
-		if (this._config.autocomplete) {
-			this._autocomplete = new MultiSelectElement("input", {class: "multi-select__autocomplete", type: "text"});
-			// Add Listeners to input field of autocomplete
-			this._autocomplete.addEventListener("input", this._boundSortOptions);
+		// Read the value and label of each option from the configured fields
+		this._sources = new WeakMap();
+		this._config.options = this._config.options.map(_option => this._normalizeOption(_option));
+		// Options of selected values that were kept when their option was removed
+		this._missingOptions = new Map();
 
-			// Add autocomplete field to start of options dropdown
-			this._optionsDiv.append(this._autocomplete.get());
+		// New options are created from the text typed in the autocomplete field
+		if (this._config.create) {
+			this._config.autocomplete = true;
 		}
 
-		return this._config.options.map(_option => {
-			// Create the element for the option
-			let classOption = "multi-select__option";
-			if (_option.class) classOption += " " + _option.class;
-			if (_option.groupHeader) classOption += " multi-select__option--group_header";
-			const option = new MultiSelectElement("div", {
-				class: classOption,
-				value: _option.value,
-				textContent: _option.label,
-				disabled: _option.disabled,
-				info: _option.info,
-				action: _option.action,
-				tabindex: "-1"
-			});
+		// Checkboxes are used to select multiple options
+		if (this._config.checkboxes) {
+			this._config.multiple = true;
+		}
 
-			this._optionsDiv.append(option.get());
+		// Prepare the state for loading options from a remote source
+		if (this._config.load || this._config.source) {
+			this._remote = {
+				cache: new Map(),
+				timer: null,
+				request: 0,
+				controller: null,
+				query: null,
+				// Number of options kept at the start of the list for the selected values missing from the results
+				kept: 0,
+			};
+		}
 
-			return option;
-		});
-	}
+		// Use the search from the config, or match the options against the search fields
+		this._search = this._config.search || new MultiSelectSearch(this._config);
 
-	/**
-	 * Handle click events
-	 */
-	_handleClick(event) {
-		// Reset dropdown
-		event.stopPropagation();
-		this._closeAllLists();
+		// Use the text of the locale, the messages in the config take precedence
+		this._locale = this._getLocale(this._config.locale || document.documentElement.lang);
+		this._messages = this._getMessages(this._locale);
+		this._pluralRules = new Intl.PluralRules(this._locale);
 
-		// If click is on the autocomplete field, don't do anything
-		if (event.target.className === "multi-select__autocomplete") {
-			return;
+		// Prepare the state for only rendering the visible options
+		if (this._config.virtual) {
+			this._virtual = {
+				optionHeight: this._config.optionHeight || defaultOptionHeight,
+				filtered: [],
+				// Position of each shown option in the filtered list, so checking an option doesn't scan the list
+				positions: new Map(),
+				nodes: new Map(),
+			};
 		}
 
-		// If the dropdown is open
-		if (this._state.opened) {
-			// Close the dropdown
-			this._closeDropdown(true, true);
-			return;
+		// Multiple selection always works with a list of values
+		if (this._config.multiple && !Array.isArray(this._config.value)) {
+			this._config.value = this._config.value ? [this._config.value] : [];
 		}
 
-		// Check for clicking on the selected option icon for removal
-		if ("fa " + event.target.parentElement.classList[1] === this._config.icon) {
-			// If the target has a fontawesome icon
-			this._unselectOption(event.target.parentElement.dataset.value);
-			return;
-		} else if (event.target.tagName === "i" && event.target.classList.contains(this._config.icon)) {
-			// If the target is an i tag with a fontawesome class
-			this._unselectOption(event.target.dataset.value);
-			return;
-		} else if (event.target.tagName === "svg") {
-			// If the target is an svg tag, used for fontawesome pro icons
-			this._unselectOption(event.target.dataset.value);
-			return;
+		this._create(host);
+		instances.set(this._element, this);
+		this._setValue();
+		this._initialValue = this.getValue();
+
+		if (this._config.disabled) {
+			this.disable();
+		}
+		if (this._config.readonly) {
+			this.setReadOnly(true);
 		}
 
-		// Open the dropdown
-		this._openDropdown();
+		// Derive the options from the value of the parent control
+		if (this._config.parent) {
+			this._linkParent(this._config.parent);
+		}
 	}
 
 	/**
-	 * Handle clicking outside of control to close dropdown
+	 * Get the control created for an element, or selector
 	 */
-	_handleCloseClick() {
-		if (this._select.get().classList.contains("multi-select__select--opened")) {
-			event.stopPropagation();
-			// Close the dropdown
-			this._closeDropdown(false);
+	static getInstance(element) {
+		const host = typeof element === "string" ? document.querySelector(element) : element;
+		return (host && instances.get(host)) || null;
+	}
+
+	/**
+	 * Create a control for each element with the data-multi-select2 attribute, skipping those that already have one
+	 */
+	static init(root = document) {
+		const hosts = Array.from(root.querySelectorAll(dataSelector));
+		if (root.matches && root.matches(dataSelector)) {
+			hosts.unshift(root);
 		}
-		return;
+
+		return hosts.map(_host => MultiSelect2.getInstance(_host) || new MultiSelect2(_host));
 	}
 
 	/**
-	 * Handle key events
+	 * Initialize the matching elements, and keep initializing those added to the root later on
+	 *
+	 * Controls are destroyed when their element is removed from the page. Returns the MutationObserver, so it can be disconnected.
 	 */
-	_handleKeyUp(event) {
-		event.preventDefault();
-		let handled = false;  // This control handles this key
-		let openKey = false;  // This key opens the options dropdown
-		let closeKey = false;  // This key closes the optiosn dropdown
-		let moveKey = false;  // This key moves through the options
-		let topKey = false;  // This key moves to the top of the options
-		let bottomKey = false;  // This key moves to the bottom of the options
-		let downKey = false;  // This key moves down through the options
-		let upKey = false;  // This key moves up through the options
-		let selectKey = false;  // This key selects the current option
-		let selectedMoveKey = false;  // This key moves through the selected options
-		let leftKey = false;  // This key moves left through currently selected options
-		let rightKey = false;  // This key moves right through currently selected options
-		let deleteKey = false;  // This key delete the currently focused selected option
-
-		// Figure out what key was pressed
+	static observe(root = document.body) {
+		MultiSelect2.init(root);
+
+		const observer = new MutationObserver(mutations => {
+			mutations.forEach(_mutation => {
+				_mutation.removedNodes.forEach(_node => {
+					// Moved elements are connected again by the time the mutations are handled
+					if (_node.nodeType !== Node.ELEMENT_NODE || _node.isConnected) {
+						return;
+					}
+					[_node, ..._node.querySelectorAll(dataSelector)]
+						.map(_host => instances.get(_host))
+						.filter(_instance => _instance)
+						.forEach(_instance => _instance.destroy());
+				});
+				_mutation.addedNodes.forEach(_node => {
+					if (_node.nodeType === Node.ELEMENT_NODE && _node.isConnected) {
+						MultiSelect2.init(_node);
+					}
+				});
+			});
+		});
+		observer.observe(root, {childList: true, subtree: true});
+		return observer;
+	}
+
+	/**
+	 * Add a locale pack, or add to an existing one, with the text shown by the control
+	 */
+	static addLocale(locale, messages) {
+		const key = locale.toLowerCase();
+		locales[key] = {...locales[key], ...messages};
+	}
+
+	/**
+	 * Register the handler called when an option with the given action is chosen in any control
+	 */
+	static addAction(action, handler) {
+		actionHandlers.set(action, handler);
+	}
+
+	/**
+	 * Create a template for the render hooks, escaping the interpolated values
+	 */
+	static html(strings, ...values) {
+		return new MultiSelectTemplate(strings.reduce((html, string, index) => {
+			const value = values[index - 1];
+			let content;
+			if (value instanceof MultiSelectTemplate) {
+				content = value.html;
+			} else if (Array.isArray(value)) {
+				content = value.map(_value => _value instanceof MultiSelectTemplate ? _value.html : escapeHtml(_value)).join("");
+			} else {
+				content = value === undefined || value === null || value === false ? "" : escapeHtml(value);
+			}
+			return html + content + string;
+		}));
+	}
+
+	/**
+	 * Get the current value of the control
+	 */
+	getValue() {
+		return this._config.multiple ? [...this._config.value] : this._config.value;
+	}
+
+	/**
+	 * Get the options of the selected values, as they were passed to the control
+	 */
+	getSelectedOptions() {
+		return [].concat(this._config.value)
+			.filter(_value => _value !== undefined && _value !== null && _value !== "")
+			.map(_value => this._getSelectedOption(_value))
+			.filter(_option => _option)
+			.map(_option => this._sources.get(_option) || _option);
+	}
+
+	/**
+	 * Set the value of the control, calling onChange unless silent is set
+	 */
+	setValue(value, {silent = false} = {}) {
+		if (this._config.multiple) {
+			this._config.value = value === undefined || value === null ? [] : [].concat(value);
+		} else {
+			this._config.value = value === undefined || value === null ? "" : value;
+		}
+
+		this._setValue(undefined, !silent);
+		return this;
+	}
+
+	/**
+	 * Add a new option to the end of the options list
+	 */
+	addOption(option) {
+		return this.addOptions([option]);
+	}
+
+	/**
+	 * Add new options to the end of the options list
+	 */
+	addOptions(options) {
+		options = options.map(_option => this._normalizeOption(_option));
+		this._config.options.push(...options);
+		if (this._virtual) {
+			this._resetVirtual();
+		} else {
+			this._options.push(...options.map(_option => this._createOption(_option)));
+		}
+		return this;
+	}
+
+	/**
+	 * Replace the options, reusing the elements of the options that didn't change
+	 *
+	 * Selected values without an option are removed, unless keepValues or the keepMissingValues config is set.
+	 */
+	setOptions(options, {keepValues = !!this._config.keepMissingValues} = {}) {
+		options = options.map(_option => this._normalizeOption(_option));
+
+		// A control with a parent only shows the options belonging to the value of the parent
+		if (this._cascade) {
+			this._cascade.options = options;
+			this._handleParentChange(null, false, keepValues);
+			return this;
+		}
+
+		this._replaceOptions(options, keepValues);
+		return this;
+	}
+
+	/**
+	 * Remove the options the predicate returns true for, and the group headers left without options
+	 *
+	 * Selected values without an option are removed, unless keepValues or the keepMissingValues config is set.
+	 */
+	removeOptions(predicate, {keepValues = !!this._config.keepMissingValues} = {}) {
+		const kept = this._config.options.filter(_option => !predicate(this._sources.get(_option) || _option));
+		const options = kept.filter((_option, index) => !_option.groupHeader || (kept[index + 1] && !kept[index + 1].groupHeader));
+		this._replaceOptions(options, keepValues);
+		return this;
+	}
+
+	/**
+	 * Remove an option, unselecting it if it is currently selected
+	 *
+	 * The value of the option is kept if keepValues or the keepMissingValues config is set.
+	 */
+	removeOption(value, {keepValues = !!this._config.keepMissingValues} = {}) {
+		const index = this._findOptionIndex(value);
+		// eslint-disable-next-line no-magic-numbers
+		if (index === -1) {
+			return this;
+		}
+
+		this._replaceOptions(this._config.options.filter((_option, _index) => _index !== index), keepValues);
+		return this;
+	}
+
+	/**
+	 * Update the properties of an existing option
+	 */
+	updateOption(value, changes) {
+		const index = this._findOptionIndex(value);
+		// eslint-disable-next-line no-magic-numbers
+		if (index === -1) {
+			return this;
+		}
+
+		const previous = this._config.options;
+		const oldOption = previous[index];
+		const option = this._normalizeOption({...(this._sources.get(oldOption) || oldOption), ...changes});
+		this._config.options = previous.slice();
+		this._config.options[index] = option;
+		this._renderOptions(previous);
+
+		// Keep the value pointing at the option if its value was changed
+		if (this._isSelected(oldOption.value) && !this._isSameValue(oldOption.value, option.value)) {
+			this._config.value = this._config.multiple ?
+				this._config.value.map(_value => this._isSameValue(_value, oldOption.value) ? option.value : _value) : option.value;
+		}
+
+		this._updateValue(undefined, false);
+		return this;
+	}
+
+	/**
+	 * Remove all selected values
+	 */
+	clear(options = {}) {
+		if (!options.silent && !this._dispatch("beforeclear", {values: this.getValue()}, true)) {
+			return this;
+		}
+
+		const previous = this._lastValue || [];
+		this.setValue(this._config.multiple ? [] : "", options);
+		if (!options.silent) {
+			// Locked values stay selected
+			this._dispatch("clear", {removed: previous.filter(_value => !this._isSelected(_value))});
+		}
+		return this;
+	}
+
+	/**
+	 * Open the options dropdown
+	 */
+	open() {
+		if (!this._state.disabled && !this._state.readOnly && !this._state.opened) {
+			this._closeAllLists();
+			this._openDropdown();
+		}
+		return this;
+	}
+
+	/**
+	 * Close the options dropdown
+	 */
+	close() {
+		if (this._state.opened) {
+			this._closeDropdown(false);
+		}
+		return this;
+	}
+
+	/**
+	 * Get the message explaining why the value doesn't satisfy the constraints, or an empty string if it does
+	 */
+	getValidationMessage() {
+		return this._validator ? this._validator.get().validationMessage : "";
+	}
+
+	/**
+	 * Check if the value satisfies the required, min and max constraints
+	 */
+	checkValidity() {
+		return this._validator ? this._validator.get().checkValidity() : true;
+	}
+
+	/**
+	 * Check the constraints, showing the validation message if they are not met
+	 */
+	reportValidity() {
+		return this._validator ? this._validator.get().reportValidity() : true;
+	}
+
+	/**
+	 * Allow the user to interact with the control
+	 */
+	enable() {
+		this._state.disabled = false;
+		this._select.removeClass("multi-select__select--disabled")
+			.removeAttribute("aria-disabled")
+			.setAttribute("tabindex", "0");
+		this._setFieldsDisabled(false);
+		return this;
+	}
+
+	/**
+	 * Stop the user from interacting with the control, and leave its value out of the form
+	 */
+	disable() {
+		this.close();
+		this._state.disabled = true;
+		this._select.addClass("multi-select__select--disabled")
+			.setAttribute("aria-disabled", "true")
+			.setAttribute("tabindex", "-1");
+		this._setFieldsDisabled(true);
+		return this;
+	}
+
+	/**
+	 * Show the value without letting the user change it, the value is still part of the form
+	 */
+	setReadOnly(readOnly = true) {
+		if (readOnly) {
+			this.close();
+		}
+		this._state.readOnly = readOnly;
+		this._select.toggleClass("multi-select__select--readonly", readOnly);
+		// A read-only control doesn't open, so it stays the combobox
+		if (readOnly) {
+			this._select.setAttribute("aria-readonly", "true");
+		} else {
+			this._select.removeAttribute("aria-readonly");
+		}
+		return this;
+	}
+
+	/**
+	 * Remove the control and its event listeners, restoring the host element
+	 */
+	destroy() {
+		if (this._state.destroyed) {
+			return;
+		}
+
+		this._select.removeEventListener("click", this._boundHandleClick, true);
+		this._select.removeEventListener("keydown", this._boundHandleKeyDown);
+		this._optionsDiv.removeEventListener("keydown", this._boundHandleKeyDown);
+		this._optionsDiv.removeEventListener("mousedown", this._boundHandleMouseDown);
+		clearTimeout(this._typed.timer);
+		document.removeEventListener("click", this._boundHandleCloseClick, true);
+		if (this._form) {
+			this._form.removeEventListener("reset", this._boundHandleReset);
+		}
+		if (this._remote) {
+			clearTimeout(this._remote.timer);
+			this._abortLoad();
+		}
+		if (this._cascade) {
+			this._cascade.parent._element.removeEventListener("multiselect:change", this._boundHandleParentChange);
+			this._abortParentLoad();
+		}
+		if (this._virtual) {
+			this._optionsDiv.removeEventListener("scroll", this._boundRenderVirtual);
+		}
+		if (this._config.multiple && this._config.sortable) {
+			this._selected_value.removeEventListener("pointerdown", this._boundHandleDragStart);
+			this._selected_value.removeEventListener("pointermove", this._boundHandleDragMove);
+			this._selected_value.removeEventListener("pointerup", this._boundHandleDragEnd);
+			this._selected_value.removeEventListener("pointercancel", this._boundHandleDragEnd);
+		}
+
+		this._position.destroy();
+		this._select.get().remove();
+		this._liveRegion.get().remove();
+		if (this._nativeSelect) {
+			this._nativeSelect.style.display = this._nativeDisplay;
+			this._nativeSelect.required = this._nativeRequired;
+			this._nativeSelect.disabled = this._nativeDisabled;
+		}
+		instances.delete(this._element);
+		this._state.destroyed = true;
+		this._state.opened = false;
+	}
+
+	/**
+	 * Create the control
+	 */
+	_create(_element) {
+		// Get the div this control will replace
+		const element = typeof _element === "string" ? document.querySelector(_element) : _element;
+
+		// Create the various parts of the control
+		this._element = element;
+		this._parent = new MultiSelectElement(element);
+		this._select = new MultiSelectElement("div", {class: "multi-select__select", tabindex: "0", id: this._id, role: "combobox", part: "control"});
+		this._selected_value = new MultiSelectElement("span", {class: "multi-select__label", part: "label"});
+		this._optionsDiv = new MultiSelectElement("div", {class: "multi-select__options", part: "dropdown"});
+		this._listbox = new MultiSelectElement("div", {class: "multi-select__listbox", id: `${this._id}-listbox`, role: "listbox", part: "listbox"});
+		this._dropIcon = new MultiSelectElement("i", {class: "fa fa-caret-down multi-select__drop_icon", part: "arrow"});
+		this._liveRegion = new MultiSelectElement("div", {class: "multi-select__live"});
+		if (this._messages.placeholder) {
+			this._placeholder = new MultiSelectElement("span", {class: "multi-select__placeholder", textContent: this._messages.placeholder});
+		}
+
+		// Describe the parts of the control to assistive technology
+		this._select.setAttribute("aria-haspopup", "listbox")
+			.setAttribute("aria-expanded", "false")
+			.setAttribute("aria-controls", this._listbox.get().id);
+		this._listbox.setAttribute("aria-labelledby", this._id);
+		if (this._config.multiple) {
+			this._listbox.setAttribute("aria-multiselectable", "true");
+		}
+		this._dropIcon.setAttribute("aria-hidden", "true");
+		this._liveRegion.setAttribute("aria-live", "polite");
+		this._setLabel(element);
+
+		// Add the parts together to create the full control
+		this._select.append(this._selected_value.get());
+		this._select.append(this._optionsDiv.get());
+		this._select.append(this._dropIcon.get());
+		if (this._nativeSelect) {
+			// Hide the native select and place the control after it
+			this._nativeDisplay = element.style.display;
+			element.style.display = "none";
+			element.insertAdjacentElement("afterend", this._select.get());
+		} else {
+			this._parent.append(this._select.get());
+		}
+		this._select.get().insertAdjacentElement("afterend", this._liveRegion.get());
+		this._setDirection();
+
+		// Keep the options dropdown next to the control while it is open
+		this._position = new MultiSelectPosition(this._select.get(), this._optionsDiv.get(), this._config);
+
+		// Generate the list of options from the config
+		this._options = this._generateOptionsOfSelect();
+
+		// Add event listeners to the control
+		this._select.addEventListener("click", this._boundHandleClick, true);
+		this._select.addEventListener("keydown", this._boundHandleKeyDown);
+		// Key presses in a dropdown moved out of the control don't reach the control
+		if (!this._select.get().contains(this._optionsDiv.get())) {
+			this._optionsDiv.addEventListener("keydown", this._boundHandleKeyDown);
+		}
+		this._optionsDiv.addEventListener("mousedown", this._boundHandleMouseDown);
+		document.addEventListener("click", this._boundHandleCloseClick, true);
+
+		// Add a class if multiple items can be selected
+		if (this._config.multiple) {
+			this._select.addClass("multi-select__select--multiple");
+		}
+		if (this._config.checkboxes) {
+			this._optionsDiv.addClass("multi-select__options--checkboxes");
+		}
+
+		// Let the selected values be reordered by dragging them
+		if (this._config.multiple && this._config.sortable) {
+			this._select.addClass("multi-select__select--sortable");
+			this._selected_value.addEventListener("pointerdown", this._boundHandleDragStart);
+			this._selected_value.addEventListener("pointermove", this._boundHandleDragMove);
+			this._selected_value.addEventListener("pointerup", this._boundHandleDragEnd);
+			this._selected_value.addEventListener("pointercancel", this._boundHandleDragEnd);
+		}
+
+		this._createFormFields();
+	}
+
+	/**
+	 * Give the control an accessible name
+	 */
+	_setLabel(element) {
+		if (this._config.ariaLabel) {
+			this._select.setAttribute("aria-label", this._config.ariaLabel);
+			return;
+		}
+
+		// Use the labels of the native select to name the control
+		const labels = this._nativeSelect ? Array.from(this._nativeSelect.labels) : [];
+		if (labels.length) {
+			const ids = labels.map((_label, index) => {
+				if (!_label.id) {
+					_label.id = `${this._id}-label-${index}`;
+				}
+				return _label.id;
+			});
+			this._select.setAttribute("aria-labelledby", ids.join(" "));
+		} else if (element.getAttribute("aria-label")) {
+			this._select.setAttribute("aria-label", element.getAttribute("aria-label"));
+		}
+	}
+
+	/**
+	 * Announce a message to assistive technology
+	 */
+	_announce(message) {
+		this._liveRegion.setText(message);
+	}
+
+	/**
+	 * Announce and dispatch events for the values that were selected and removed since the last change
+	 */
+	_handleChange(manual) {
+		const values = this._config.multiple ? this._config.value : [this._config.value]
+			.filter(_value => _value !== undefined && _value !== null && _value !== "");
+		const previous = this._lastValue || [];
+		this._lastValue = [...values];
+
+		if (!manual) {
+			return;
+		}
+
+		const added = values.filter(_value => !previous.some(_previous => this._isSameValue(_previous, _value)));
+		const removed = previous.filter(_value => !values.some(_current => this._isSameValue(_current, _value)));
+		// The order of the values is part of the value, so reordering them is also a change
+		if (!added.length && !removed.length && values.every((_value, index) => this._isSameValue(_value, previous[index]))) {
+			return;
+		}
+
+		const messages = [];
+		added.forEach(_value => {
+			messages.push(this._getMessage("selected", {label: this._getLabel(_value)}));
+			this._dispatch("select", {value: _value, option: this._getOption(_value), values: this.getValue()});
+		});
+		removed.forEach(_value => {
+			messages.push(this._getMessage("removed", {label: this._getLabel(_value)}));
+			this._dispatch("unselect", {value: _value, option: this._getOption(_value), values: this.getValue()});
+		});
+		if (messages.length) {
+			this._announce(messages.join(", "));
+		}
+		this._dispatch("change", {value: this.getValue(), added, removed});
+	}
+
+	/**
+	 * Announce the number of options matching the autocomplete field
+	 */
+	_announceResults(count) {
+		this._announce(this._getMessage("results", {count}));
+	}
+
+	/**
+	 * Get the option with the given value
+	 */
+	_getOption(value) {
+		const index = this._findOptionIndex(value);
+		// eslint-disable-next-line no-magic-numbers
+		return index === -1 ? null : this._config.options[index];
+	}
+
+	/**
+	 * Get the option of a selected value, including the options kept for values whose option was removed
+	 */
+	_getSelectedOption(value) {
+		return this._getOption(value) || this._missingOptions.get(getValueKey(value)) || null;
+	}
+
+	/**
+	 * Get the label of the option with the given value
+	 */
+	_getLabel(value) {
+		const option = this._getSelectedOption(value);
+		return option ? option.label : getValueKey(value);
+	}
+
+	/**
+	 * Create the fields used to submit and validate the control as part of a form
+	 */
+	_createFormFields() {
+		this._inputs = [];
+
+		// Use a hidden field to report the validation constraints to the form
+		if (this._config.required || this._config.min || this._config.max) {
+			this._validator = new MultiSelectElement("input", {class: "multi-select__validator", type: "text", tabindex: "-1"});
+			this._validator.setAttribute("aria-hidden", "true");
+			this._validator.addEventListener("invalid", this._boundHandleInvalid);
+			// The browser focuses the field when reporting a problem, so pass focus on to the control
+			this._validator.addEventListener("focus", () => this._select.focus());
+			this._select.append(this._validator.get());
+		}
+
+		// Restore the initial value when the form is reset
+		this._form = this._nativeSelect ? this._nativeSelect.form : this._select.get().closest("form");
+		if (this._form) {
+			this._form.addEventListener("reset", this._boundHandleReset);
+		}
+	}
+
+	/**
+	 * Update the hidden inputs used to submit the value with the form
+	 */
+	_updateInputs() {
+		// A native select submits its own value
+		if (!this._config.name || this._nativeSelect) {
+			return;
+		}
+
+		this._inputs.forEach(_input => _input.get().remove());
+
+		const values = this._config.multiple ? this._config.value : [this._config.value];
+		this._inputs = values.map(_value => {
+			const input = new MultiSelectElement("input", {type: "hidden"});
+			input.setAttribute("name", this._config.name);
+			input.get().disabled = this._state.disabled;
+			input.get().value = getValueKey(_value);
+			this._select.append(input.get());
+			return input;
+		});
+	}
+
+	/**
+	 * Disable the fields submitting and validating the value, so a disabled control is left out of the form
+	 */
+	_setFieldsDisabled(disabled) {
+		this._inputs.forEach(_input => {
+			_input.get().disabled = disabled;
+		});
+		if (this._validator) {
+			this._validator.get().disabled = disabled;
+		}
+		if (this._nativeSelect) {
+			this._nativeSelect.disabled = disabled;
+		}
+	}
+
+	/**
+	 * Update the validation message to match the constraints on the value
+	 */
+	_updateValidity() {
+		if (!this._validator) {
+			return;
+		}
+
+		let count;
+		if (this._config.multiple) {
+			count = this._config.value.length;
+		} else {
+			count = this._config.value === undefined || this._config.value === null || this._config.value === "" ? 0 : 1;
+		}
+
+		let message = "";
+		if (this._config.required && !count) {
+			message = this._getMessage("required");
+		} else if (this._config.min && count < this._config.min) {
+			message = this._getMessage("min", {count: this._config.min});
+		} else if (this._config.max && count > this._config.max) {
+			message = this._getMessage("max", {count: this._config.max});
+		}
+		this._validator.get().setCustomValidity(message);
+
+		// Only show the control as invalid once the form has been validated
+		const invalid = this._state.validated && message !== "";
+		this._select.toggleClass("multi-select__select--invalid", invalid);
+		if (invalid) {
+			this._select.setAttribute("aria-invalid", "true");
+		} else {
+			this._select.removeAttribute("aria-invalid");
+		}
+	}
+
+	/**
+	 * Handle the form validating the control
+	 */
+	_handleInvalid() {
+		this._state.validated = true;
+		this._updateValidity();
+	}
+
+	/**
+	 * Handle the form being reset
+	 */
+	_handleReset() {
+		// Wait for the form to reset its own fields before restoring the value
+		setTimeout(() => {
+			this._state.validated = false;
+			this.setValue(this._initialValue, {silent: true});
+		});
+	}
+
+	/**
+	 * Read the config for the control from a native select element
+	 */
+	_readNativeSelect(select) {
+		this._nativeSelect = select;
+
+		if (this._config.multiple === undefined) {
+			this._config.multiple = select.multiple;
+		}
+		if (this._config.disabled === undefined) {
+			this._config.disabled = select.disabled;
+		}
+		if (this._config.required === undefined) {
+			this._config.required = select.required;
+		}
+
+		// The control validates the value, the hidden native select can't be focused to report problems
+		this._nativeRequired = select.required;
+		this._nativeDisabled = select.disabled;
+		select.required = false;
+
+		if (!this._config.options) {
+			this._config.options = MultiSelect2._readNativeOptions(select);
+		}
+
+		if (this._config.value === undefined) {
+			const selected = Array.from(select.selectedOptions).map(_option => _option.value);
+			this._config.value = this._config.multiple ? selected : (selected[0] ?? "");
+		}
+	}
+
+	/**
+	 * Read the config from the data attributes of the element, keeping the values already in the config
+	 */
+	_readDataAttributes(element) {
+		const data = element.dataset;
+		const config = {};
+
+		dataFlags.forEach(_flag => {
+			if (data[_flag] !== undefined) {
+				config[_flag] = data[_flag] !== "false";
+			}
+		});
+		if (data.icon) {
+			config.icon = data.icon;
+		}
+		if (data.placeholder) {
+			config.placeholder = data.placeholder;
+		}
+		if (data.options) {
+			try {
+				config.options = JSON.parse(data.options);
+			} catch (error) {
+				// Report the invalid JSON, and create the control without the options instead of stopping the other elements being initialized
+				element.dispatchEvent(new CustomEvent("multiselect:error", {
+					bubbles: true,
+					detail: {error, attribute: "data-options"}
+				}));
+			}
+		}
+
+		// Copy the options and selected values of another select element
+		const select = data.select ? document.querySelector(data.select) : null;
+		if (select instanceof HTMLSelectElement && !config.options) {
+			config.options = MultiSelect2._readNativeOptions(select);
+			const selected = Array.from(select.selectedOptions).map(_option => _option.value);
+			if (selected.length) {
+				config.value = config.multiple ? selected : selected[0];
+			}
+		}
+
+		this._config = {...config, ...this._config};
+	}
+
+	/**
+	 * Read the options and option groups of a native select element, or any element with option children
+	 */
+	static _readNativeOptions(select) {
+		const options = [];
+		Array.from(select.children).forEach(child => {
+			if (child.tagName === "OPTGROUP") {
+				// Option groups become a group header followed by their options
+				options.push({
+					label: child.label,
+					value: "",
+					disabled: true,
+					groupHeader: true,
+					class: child.className
+				});
+				Array.from(child.children).forEach(option => {
+					options.push(MultiSelect2._readNativeOption(option, child.disabled));
+				});
+			} else if (child.tagName === "OPTION") {
+				options.push(MultiSelect2._readNativeOption(child, false));
+			}
+		});
+		return options;
+	}
+
+	/**
+	 * Read a single option from a native option element
+	 */
+	static _readNativeOption(option, disabled) {
+		return {
+			label: option.label,
+			value: option.value,
+			disabled: disabled || option.disabled,
+			class: option.className,
+			info: option.dataset.info,
+			action: option.dataset.action
+		};
+	}
+
+	/**
+	 * Update the selected options of the native select to match the value
+	 */
+	_syncNativeSelect(manual) {
+		if (!this._nativeSelect) {
+			return;
+		}
+
+		const values = (this._config.multiple ? this._config.value : [this._config.value])
+			.filter(_value => _value !== undefined && _value !== null && _value !== "")
+			.map(_value => getValueKey(_value));
+		const nativeOptions = Array.from(this._nativeSelect.options);
+
+		// Add any values the native select doesn't know about so they are still submitted
+		values.forEach(_value => {
+			if (!nativeOptions.some(_option => _option.value === _value)) {
+				const option = this._getOption(_value);
+				const nativeOption = new Option(option ? option.label : _value, _value);
+				this._nativeSelect.add(nativeOption);
+				nativeOptions.push(nativeOption);
+			}
+		});
+
+		nativeOptions.forEach(_option => {
+			_option.selected = values.includes(_option.value);
+		});
+
+		if (manual) {
+			this._nativeSelect.dispatchEvent(new Event("change", {bubbles: true}));
+		}
+	}
+
+	/**
+	 * Generate the list of options that can be selected
+	 */
+	_generateOptionsOfSelect() {
+		// If using autocomplete
+		if (this._config.autocomplete) {
+			this._autocomplete = new MultiSelectElement("input", {class: "multi-select__autocomplete", type: "text", role: "combobox", part: "search"});
+			this._autocomplete.setAttribute("aria-haspopup", "listbox")
+				.setAttribute("aria-autocomplete", "list")
+				.setAttribute("aria-controls", this._listbox.get().id)
+				.setAttribute("aria-expanded", "false")
+				.setAttribute("aria-label", this._getMessage("search"));
+			if (this._messages.searchPlaceholder) {
+				this._autocomplete.setAttribute("placeholder", this._messages.searchPlaceholder);
+			}
+			// Add Listeners to input field of autocomplete
+			if (this._config.create) {
+				this._autocomplete.addEventListener("input", this._boundHandleCreateInput);
+				this._autocomplete.addEventListener("paste", this._boundHandlePaste);
+			}
+			this._autocomplete.addEventListener("input", this._boundSortOptions);
+
+			// Add autocomplete field to start of options dropdown
+			this._optionsDiv.append(this._autocomplete.get());
+		}
+
+		// Add the select all and clear all actions next to the autocomplete field
+		if (this._config.multiple && (this._config.selectAll || this._config.clearAll)) {
+			this._createActions();
+		}
+
+		// Add a row explaining why no more options can be selected
+		if (this._config.multiple && this._config.maxItems) {
+			this._limitRow = new MultiSelectElement("div", {class: "multi-select__limit multi-select__limit--hidden"});
+			this._optionsDiv.append(this._limitRow.get());
+		}
+
+		// Add a row offering to create a new option from the typed text
+		if (this._config.create) {
+			this._createRow = new MultiSelectElement("div", {class: "multi-select__create multi-select__create--hidden"});
+			this._optionsDiv.append(this._createRow.get());
+		}
+
+		this._optionsDiv.append(this._listbox.get());
+
+		// Add a row to the end of the options dropdown for loading and empty messages
+		if (this._config.autocomplete || this._remote) {
+			this._status = new MultiSelectElement("div", {class: "multi-select__status multi-select__status--hidden"});
+			this._optionsDiv.append(this._status.get());
+		}
+
+		// Only the visible options are rendered when using virtual scrolling
+		if (this._virtual) {
+			this._virtual.list = this._listbox.addClass("multi-select__virtual_list");
+			this._optionsDiv.addEventListener("scroll", this._boundRenderVirtual);
+			this._filterVirtual("");
+			return [];
+		}
+
+		const options = this._config.options.map(_option => this._createOption(_option));
+		this._options = options;
+		this._updateGroups();
+		return options;
+	}
+
+	/**
+	 * Filter the options shown when using virtual scrolling, returning the number of matching options
+	 */
+	_filterVirtual(query) {
+		if (query !== this._state.query) {
+			// Start at the top, and render the options again to update the highlighted text
+			this._optionsDiv.get().scrollTop = 0;
+			this._virtual.nodes.forEach(_node => _node.get().remove());
+			this._virtual.nodes.clear();
+		}
+		this._state.query = query;
+		const headers = this._getGroupHeaders();
+
+		// Find the groups that have matching options
+		const scores = this._scoreOptions(query);
+		const matchingGroups = new Set();
+		scores.forEach((_score, index) => {
+			if (_score) {
+				matchingGroups.add(headers[index]);
+			}
+		});
+
+		// Keep the indexes of the matching options in memory instead of hiding their elements, leaving out
+		// the options kept for the selected values missing from the remote results
+		const kept = this._remote ? this._remote.kept : 0;
+		let filtered = [];
+		this._config.options.forEach((_option, index) => {
+			if (_option.groupHeader ? !query || matchingGroups.has(index) :
+				scores[index] && index >= kept && !this._isCollapsed(index, headers)) {
+				filtered.push(index);
+			}
+		});
+
+		// Order the options within their group by how well they match the search
+		if (query && this._sortsResults()) {
+			const sections = [[]];
+			filtered.forEach(index => {
+				if (this._config.options[index].groupHeader) {
+					sections.push([index]);
+				} else {
+					sections[sections.length - 1].push(index);
+				}
+			});
+			filtered = [];
+			sections.forEach(_section => {
+				const header = _section.length && this._config.options[_section[0]].groupHeader ? [_section.shift()] : [];
+				_section.sort((a, b) => scores[b] - scores[a] || a - b);
+				filtered.push(...header, ..._section);
+			});
+		}
+		this._virtual.filtered = filtered;
+		this._virtual.positions = new Map(filtered.map((index, position) => [index, position]));
+		this._checkActive();
+
+		this._renderVirtual();
+
+		return this._virtual.filtered.filter(index => !this._config.options[index].groupHeader).length;
+	}
+
+	/**
+	 * Throw away the rendered options and render them again from the options list
+	 */
+	_resetVirtual() {
+		this._virtual.nodes.forEach(_node => _node.get().remove());
+		this._virtual.nodes.clear();
+		this._filterVirtual(this._state.query);
+	}
+
+	/**
+	 * Render the options that are currently scrolled into view
+	 */
+	_renderVirtual() {
+		const height = this._virtual.optionHeight;
+		const filtered = this._virtual.filtered;
+		const list = this._virtual.list.get();
+		const optionsDiv = this._optionsDiv.get();
+
+		// Work out which options are visible, the dropdown has no height while it is closed
+		const scrollTop = Math.max(0, optionsDiv.scrollTop - list.offsetTop);
+		// eslint-disable-next-line no-magic-numbers
+		const viewHeight = optionsDiv.clientHeight || height * 10;
+		const start = Math.max(0, Math.floor(scrollTop / height) - virtualOverscan);
+		const end = Math.min(filtered.length, Math.ceil((scrollTop + viewHeight) / height) + virtualOverscan);
+
+		list.style.height = `${filtered.length * height}px`;
+
+		// Remove the options that are no longer visible, keeping the active one
+		const nodes = new Map();
+		this._virtual.nodes.forEach((_node, position) => {
+			const current = filtered[position] !== undefined && _node.get().dataset.index === filtered[position].toString();
+			if (current && ((position >= start && position < end) || filtered[position] === this._state.active)) {
+				nodes.set(position, _node);
+			} else {
+				_node.get().remove();
+			}
+		});
+
+		for (let position = start; position < end; position++) {
+			const index = filtered[position];
+			const option = this._config.options[index];
+			let node = nodes.get(position);
+			if (!node || node.get().dataset.index !== index.toString()) {
+				node = this._createOption(option, false);
+				node.get().dataset.index = index;
+				node.get().style.top = `${position * height}px`;
+				node.get().style.height = `${height}px`;
+				list.appendChild(node.get());
+				nodes.set(position, node);
+				if (index === this._state.active) {
+					this._showActive(node);
+				}
+			}
+			if (!option.groupHeader && !option.action) {
+				this._setOptionSelected(node, this._isSelected(option.value));
+				this._setOptionLimited(node, option);
+			}
+		}
+
+		this._virtual.nodes = nodes;
+	}
+
+	/**
+	 * Get the indexes of the options that keyboard navigation moves through, in the order they are displayed
+	 */
+	_getNavigationOrder() {
+		return this._virtual ? this._virtual.filtered : this._getDisplayOrder();
+	}
+
+	/**
+	 * Check if an option is shown, rather than filtered out or in a collapsed group
+	 */
+	_isShown(index) {
+		if (this._virtual) {
+			return this._virtual.positions.has(index);
+		}
+		const classes = this._options[index].get().classList;
+		return !classes.contains("multi-select__option--hidden") && !classes.contains("multi-select__option--collapsed");
+	}
+
+	/**
+	 * Move the active option
+	 *
+	 * Starts at the given position in the order of the options and moves in the direction of step until an
+	 * option that can be selected is found, returning false if there isn't one.
+	 */
+	_moveActive(start, step) {
+		const order = this._getNavigationOrder();
+		const headers = this._getGroupHeaders();
+		for (let position = start; position >= 0 && position < order.length; position += step) {
+			if (this._isShown(order[position]) && this._isNavigable(order[position], headers)) {
+				this._setActive(order[position]);
+				return true;
+			}
+		}
+		return false;
+	}
+
+	/**
+	 * Make an option active, highlighting it while focus stays on the autocomplete field or the control
+	 */
+	_setActive(index) {
+		const previous = this._getActiveNode();
+		if (previous) {
+			previous.removeClass("multi-select__option--active");
+		}
+		this._state.active = index;
+		const focusTarget = this._autocomplete || this._select;
+		// eslint-disable-next-line no-magic-numbers
+		if (index === -1) {
+			focusTarget.removeAttribute("aria-activedescendant");
+			return;
+		}
+
+		// Scroll the option into view, rendering it when using virtual scrolling
+		const optionsDiv = this._optionsDiv.get();
+		let top;
+		let height;
+		if (this._virtual) {
+			height = this._virtual.optionHeight;
+			top = this._virtual.list.get().offsetTop + this._virtual.positions.get(index) * height;
+		} else {
+			top = this._options[index].get().offsetTop;
+			height = this._options[index].get().offsetHeight;
+		}
+		if (top < optionsDiv.scrollTop) {
+			optionsDiv.scrollTop = top;
+		} else if (top + height > optionsDiv.scrollTop + optionsDiv.clientHeight) {
+			optionsDiv.scrollTop = top + height - optionsDiv.clientHeight;
+		}
+		if (this._virtual) {
+			this._renderVirtual();
+		}
+
+		const node = this._getActiveNode();
+		if (node) {
+			this._showActive(node);
+		}
+	}
+
+	/**
+	 * Show an option element as the active one
+	 */
+	_showActive(node) {
+		node.addClass("multi-select__option--active");
+		(this._autocomplete || this._select).setAttribute("aria-activedescendant", node.get().id);
+	}
+
+	/**
+	 * Get the element of the active option, if it is rendered
+	 */
+	_getActiveNode() {
+		const index = this._state.active;
+		// eslint-disable-next-line no-magic-numbers
+		if (index === -1) {
+			return null;
+		}
+		if (this._virtual) {
+			return Array.from(this._virtual.nodes.values()).find(_node => _node.get().dataset.index === index.toString()) || null;
+		}
+		return this._options[index] || null;
+	}
+
+	/**
+	 * Stop the active option being active once it is no longer shown
+	 */
+	_checkActive() {
+		// eslint-disable-next-line no-magic-numbers
+		if (this._state.active !== -1 && (!this._config.options[this._state.active] || !this._isShown(this._state.active))) {
+			this._setActive(-1);
+		}
+	}
+
+	/**
+	 * Check if keyboard navigation can move to an option
+	 */
+	_isNavigable(index, headers) {
+		const option = this._config.options[index];
+		if (option.groupHeader) {
+			return this._hasGroupActions();
+		}
+		if (option.disabled || option.locked || this._isCollapsed(index, headers)) {
+			return false;
+		}
+		// Action options can always be run
+		if (option.action) {
+			return true;
+		}
+		// Selected options can only be reached to unselect them with their checkbox
+		return this._isSelected(option.value) ? !!this._config.checkboxes : !this._isFull();
+	}
+
+	/**
+	 * Flatten nested groups into a list of options, with a group header before the options of each group
+	 */
+	_flattenGroups(groups) {
+		const options = [];
+		groups.forEach(_group => {
+			options.push({
+				label: _group.label,
+				value: "",
+				disabled: true,
+				groupHeader: true,
+				class: _group.class,
+				collapsed: !!_group.collapsed
+			});
+			options.push(..._group.options);
+		});
+		return options;
+	}
+
+	/**
+	 * Check if group headers can be used to collapse or select their group
+	 */
+	_hasGroupActions() {
+		return !!(this._config.collapsibleGroups || (this._config.selectableGroups && this._config.multiple));
+	}
+
+	/**
+	 * Get the index of the group header of each option, or -1 if the option is not part of a group
+	 */
+	_getGroupHeaders() {
+		// eslint-disable-next-line no-magic-numbers
+		let header = -1;
+		return this._config.options.map((_option, index) => {
+			if (_option.groupHeader) {
+				header = index;
+				// eslint-disable-next-line no-magic-numbers
+				return -1;
+			}
+			return header;
+		});
+	}
+
+	/**
+	 * Get the groups of options, with the index of their header and the indexes of their options
+	 */
+	_getGroups() {
+		const groups = new Map();
+		this._getGroupHeaders().forEach((header, index) => {
+			if (this._config.options[index].groupHeader) {
+				groups.set(index, {header: index, options: []});
+			// eslint-disable-next-line no-magic-numbers
+			} else if (header !== -1) {
+				groups.get(header).options.push(index);
+			}
+		});
+		return Array.from(groups.values());
+	}
+
+	/**
+	 * Check if an option is hidden by its group being collapsed, groups are expanded while searching
+	 */
+	_isCollapsed(index, headers) {
+		// eslint-disable-next-line no-magic-numbers
+		return headers[index] !== -1 && !!this._config.options[headers[index]].collapsed && this._state.query === "";
+	}
+
+	/**
+	 * Update the collapsed options and the headers of groups without matching options
+	 */
+	_updateGroups() {
+		if (this._virtual) {
+			return;
+		}
+
+		const searching = this._state.query !== "";
+		this._getGroups().forEach(_group => {
+			const header = this._config.options[_group.header];
+			const collapsed = !!header.collapsed && !searching;
+			let visible = 0;
+			_group.options.forEach(index => {
+				this._options[index].toggleClass("multi-select__option--collapsed", collapsed);
+				if (!this._options[index].get().classList.contains("multi-select__option--hidden")) {
+					visible++;
+				}
+			});
+
+			// Hide the header when none of its options match the search
+			this._options[_group.header].toggleClass("multi-select__option--hidden", searching && !visible);
+			this._setHeaderState(this._options[_group.header], header);
+		});
+	}
+
+	/**
+	 * Show the collapsed state of a group on its header
+	 */
+	_setHeaderState(node, header) {
+		node.toggleClass("multi-select__option--group_collapsed", !!header.collapsed);
+		if (this._config.collapsibleGroups) {
+			node.setAttribute("aria-expanded", (!header.collapsed).toString());
+		}
+	}
+
+	/**
+	 * Find the group header containing an element, if group headers can be used
+	 */
+	_findGroupHeader(element) {
+		if (!this._hasGroupActions()) {
+			return null;
+		}
+		const node = this._findOptionNode(element);
+		return node && node.get().classList.contains("multi-select__option--group_header") ? node : null;
+	}
+
+	/**
+	 * Get the index in the options list of a rendered option
+	 */
+	_getOptionIndex(node) {
+		return this._virtual ? Number(node.dataset.index) : this._options.findIndex(_option => _option.get() === node);
+	}
+
+	/**
+	 * Handle a group header being chosen, collapsing the group or selecting its options
+	 */
+	_handleGroupAction(header, target) {
+		const index = this._getOptionIndex(header.get());
+		const toggle = header.get().querySelector(".multi-select__group_toggle");
+		const selectable = this._config.selectableGroups && this._config.multiple;
+
+		// Collapse the group when the toggle is used, or the group can't be selected
+		if (this._config.collapsibleGroups && (!selectable || (toggle && toggle.contains(target)))) {
+			this._toggleGroupCollapsed(index);
+		} else if (selectable) {
+			this._toggleGroupSelected(index);
+		}
+	}
+
+	/**
+	 * Collapse or expand a group
+	 */
+	_toggleGroupCollapsed(index) {
+		const header = this._config.options[index];
+		header.collapsed = !header.collapsed;
+
+		if (this._virtual) {
+			this._resetVirtual();
+		} else {
+			this._updateGroups();
+			this._checkActive();
+		}
+	}
+
+	/**
+	 * Select all the enabled options in a group, or unselect them if they are all selected already
+	 */
+	_toggleGroupSelected(index) {
+		const group = this._getGroups().find(_group => _group.header === index);
+		const options = group.options.map(_index => this._config.options[_index])
+			.filter(_option => !_option.disabled && !_option.action);
+		if (options.every(_option => this._isSelected(_option.value))) {
+			this._unselectValues(options);
+		} else {
+			this._selectValues(options);
+		}
+	}
+
+	/**
+	 * Select several options chosen by the user, skipping those cancelled by a listener or over the maximum
+	 */
+	_selectValues(options) {
+		const room = this._config.maxItems ? this._config.maxItems - this._config.value.length : Infinity;
+		const added = [];
+		options.forEach(_option => {
+			if (added.length < room && !this._isSelected(_option.value) && this._dispatch(
+				"beforeselect", {value: _option.value, option: _option, values: this.getValue()}, true
+			)) {
+				added.push(_option.value);
+			}
+		});
+
+		this._setValue(this._config.value.concat(added), true, true);
+	}
+
+	/**
+	 * Unselect several options chosen by the user, skipping those cancelled by a listener or under the minimum
+	 */
+	_unselectValues(options) {
+		const minimum = this._config.minItems || 0;
+		const removed = [];
+		options.forEach(_option => {
+			if (this._config.value.length - removed.length > minimum && !_option.locked && this._isSelected(_option.value) && this._dispatch(
+				"beforeunselect", {value: _option.value, option: _option, values: this.getValue()}, true
+			)) {
+				removed.push(_option.value);
+			}
+		});
+
+		this._setValue(this._config.value.filter(_value => !removed.some(_removed => this._isSameValue(_removed, _value))), true, true);
+	}
+
+	/**
+	 * Create the select all and clear all actions in the header of the options dropdown
+	 */
+	_createActions() {
+		this._header = new MultiSelectElement("div", {class: "multi-select__header"});
+		if (this._autocomplete) {
+			this._header.append(this._autocomplete.get());
+		}
+
+		this._actions = [];
+		if (this._config.selectAll) {
+			this._selectAllAction = new MultiSelectElement("button", {
+				class: "multi-select__action", type: "button", textContent: this._getMessage("selectAll")
+			});
+			this._actions.push(this._selectAllAction);
+		}
+		if (this._config.clearAll) {
+			this._clearAllAction = new MultiSelectElement("button", {
+				class: "multi-select__action", type: "button", textContent: this._getMessage("clearAll")
+			});
+			this._actions.push(this._clearAllAction);
+		}
+		this._actions.forEach(_action => this._header.append(_action.get()));
+
+		this._optionsDiv.append(this._header.get());
+	}
+
+	/**
+	 * Find the header action containing an element
+	 */
+	_findAction(element) {
+		return this._actions ? this._actions.find(_action => _action.get() === element) : null;
+	}
+
+	/**
+	 * Handle a header action being used, selecting or unselecting the enabled options matching the search
+	 */
+	_handleAction(target) {
+		const action = this._findAction(target);
+		if (action.get().disabled) {
+			return;
+		}
+
+		const options = this._getMatchingOptions();
+		if (action === this._selectAllAction) {
+			this._selectValues(options);
+		} else {
+			this._unselectValues(options);
+		}
+		action.focus();
+	}
+
+	/**
+	 * Get the enabled options matching the text typed in the autocomplete field
+	 */
+	_getMatchingOptions() {
+		const query = this._state.query;
+		const kept = this._remote ? this._remote.kept : 0;
+		return this._config.options.filter((_option, index) => !_option.groupHeader && !_option.disabled && !_option.action &&
+			// Remote options have already been filtered by their source, apart from the hidden ones kept for the selected values
+			index >= kept && (!query || this._remote || this._search.score(_option, query) > 0));
+	}
+
+	/**
+	 * Check if the maximum number of values has been selected
+	 */
+	_isFull() {
+		return !!this._config.multiple && !!this._config.maxItems && this._config.value.length >= this._config.maxItems;
+	}
+
+	/**
+	 * Show the options that can't be selected because the maximum has been reached, and update the actions
+	 */
+	_updateLimits() {
+		if (!this._config.multiple) {
+			return;
+		}
+
+		const full = this._isFull();
+		const minimum = !!this._config.minItems && this._config.value.length <= this._config.minItems;
+		this._select.toggleClass("multi-select__select--full", full)
+			.toggleClass("multi-select__select--minimum", minimum);
+		if (this._limitRow) {
+			this._limitRow.setText(full ? this._getMessage("maxReached", {count: this._config.maxItems}) : "")
+				.toggleClass("multi-select__limit--hidden", !full);
+		}
+		if (this._selectAllAction) {
+			this._selectAllAction.get().disabled = full;
+		}
+		if (this._clearAllAction) {
+			// Locked values can't be cleared
+			const removable = this._config.value.some(_value => {
+				const option = this._getSelectedOption(_value);
+				return !option || !option.locked;
+			});
+			this._clearAllAction.get().disabled = minimum || !removable;
+		}
+	}
+
+	/**
+	 * Set the state of an option element that can't be selected because the maximum has been reached
+	 */
+	_setOptionLimited(node, option) {
+		const limited = this._isFull() && !option.disabled && !option.action && !this._isSelected(option.value);
+		node.toggleClass("multi-select__option--limited", limited);
+		if (limited || option.disabled) {
+			node.setAttribute("aria-disabled", "true");
+		} else {
+			node.removeAttribute("aria-disabled");
+		}
+	}
+
+	/**
+	 * Find the rendered option containing an element
+	 */
+	_findOptionNode(element) {
+		return this._getOptionNodes().find(_option => _option.get().contains(element));
+	}
+
+	/**
+	 * Get the elements of the options that are currently rendered
+	 */
+	_getOptionNodes() {
+		return this._virtual ? Array.from(this._virtual.nodes.values()) : this._options;
+	}
+
+	/**
+	 * Create the element for an option, appending it to the dropdown unless told not to
+	 */
+	_createOption(_option, append=true) {
+		let classOption = "multi-select__option";
+		if (_option.class) classOption += " " + _option.class;
+		if (_option.groupHeader) classOption += " multi-select__option--group_header";
+		if (_option.locked) classOption += " multi-select__option--locked";
+		if (_option.action) classOption += " multi-select__option--action";
+		const groupActions = _option.groupHeader && this._hasGroupActions();
+		const option = new MultiSelectElement("div", {
+			class: classOption,
+			value: getValueKey(_option.value),
+			textContent: _option.label,
+			disabled: _option.disabled,
+			info: _option.info,
+			action: _option.action,
+			id: `${this._id}-option-${this._optionCount++}`,
+			part: _option.groupHeader ? "group-header" : "option",
+			// Group headers only label their group, unless they can be used to collapse or select it
+			role: _option.groupHeader && !groupActions ? "presentation" : "option"
+		});
+		if (!_option.groupHeader && !_option.action) {
+			option.setAttribute("aria-selected", "false");
+		}
+		if (_option.disabled && !groupActions) {
+			option.setAttribute("aria-disabled", "true");
+		}
+
+		if (this._config.renderOption ||
+				(!_option.groupHeader && (this._state.query || this._config.checkboxes || _option.info))) {
+			this._renderOptionContent(option, _option);
+		}
+
+		if (_option.groupHeader) {
+			if (this._config.collapsibleGroups) {
+				const toggle = new MultiSelectElement("i", {class: "multi-select__group_toggle"});
+				toggle.setAttribute("aria-hidden", "true");
+				option.append(toggle.get());
+			}
+			this._setHeaderState(option, _option);
+		}
+
+		if (append) {
+			this._appendOption(option, _option);
+		}
+
+		return option;
+	}
+
+	/**
+	 * Append the element of an option to the dropdown, starting a new group for a group header
+	 */
+	_appendOption(node, _option) {
+		if (_option.groupHeader) {
+			// Wrap the header and the options after it in a group
+			this._group = new MultiSelectElement("div", {class: "multi-select__group", role: "group"});
+			this._group.setAttribute("aria-labelledby", node.get().id);
+			this._listbox.append(this._group.get());
+		}
+		(this._group || this._listbox).append(node.get());
+	}
+
+	/**
+	 * Replace the options, removing the selected values that no longer have an option unless they are kept
+	 */
+	_replaceOptions(options, keepValues, silent = false) {
+		const previous = this._config.options;
+		this._config.options = options;
+		if (this._remote) {
+			this._remote.kept = 0;
+		}
+		this._renderOptions(previous);
+
+		const values = (this._config.multiple ? this._config.value : [this._config.value])
+			.filter(_value => _value !== undefined && _value !== null && _value !== "");
+		const missing = values.filter(_value => this._findOptionIndex(_value) === -1);
+		if (keepValues) {
+			// Remember the removed options, so the kept values are still shown with their labels
+			missing.forEach(_value => {
+				const option = previous.find(_option => !_option.groupHeader && this._isSameValue(_option.value, _value));
+				if (option) {
+					this._missingOptions.set(getValueKey(_value), option);
+				}
+			});
+		}
+		if (keepValues || !missing.length) {
+			this._updateValue(undefined, false);
+			return;
+		}
+
+		// Removing the values is a change the listeners, and any controls depending on this one, need to follow
+		const value = this._config.multiple ? this._config.value.filter(_value => !missing.includes(_value)) : "";
+		this._updateValue(value, !silent, true);
+	}
+
+	/**
+	 * Render the options again, reusing the elements of the options that didn't change and keeping the active option and scroll position
+	 */
+	_renderOptions(previous) {
+		// eslint-disable-next-line no-magic-numbers
+		const active = this._state.active === -1 ? null : previous[this._state.active];
+		this._setActive(-1);
+
+		if (this._virtual) {
+			this._resetVirtual();
+		} else {
+			const scrollTop = this._optionsDiv.get().scrollTop;
+			const nodes = new Map();
+			previous.forEach((_option, index) => {
+				nodes.set(this._getOptionKey(_option), {option: _option, node: this._options[index]});
+			});
+
+			this._listbox.setText("");
+			this._group = null;
+			this._options = this._config.options.map(_option => {
+				const reused = nodes.get(this._getOptionKey(_option));
+				let node;
+				if (reused && this._isSameOption(reused.option, _option)) {
+					node = reused.node;
+					// Keep collapsed groups collapsed
+					if (_option.groupHeader && _option.collapsed === undefined) {
+						_option.collapsed = reused.option.collapsed;
+					}
+				} else {
+					node = this._createOption(_option, false);
+				}
+				this._appendOption(node, _option);
+				return node;
+			});
+
+			// Remote options are filtered by their source, but the options kept for the selected values stay hidden
+			if (this._state.query || this._remote) {
+				this._filterOptions(this._state.query);
+			} else {
+				this._options.forEach(_option => _option.removeClass("multi-select__option--hidden"));
+				this._updateGroups();
+			}
+			this._optionsDiv.get().scrollTop = scrollTop;
+		}
+
+		// Keep the same option active when it is still shown
+		const key = active ? this._getOptionKey(active) : null;
+		const index = this._config.options.findIndex(_option => this._getOptionKey(_option) === key);
+		// eslint-disable-next-line no-magic-numbers
+		if (index !== -1 && this._isShown(index) && this._isNavigable(index, this._getGroupHeaders())) {
+			this._setActive(index);
+		}
+	}
+
+	/**
+	 * Get the key used to match an option with the option it replaces
+	 */
+	_getOptionKey(option) {
+		return option.groupHeader ? `header:${option.label}` : `option:${getValueKey(option.value)}`;
+	}
+
+	/**
+	 * Check if an option is rendered the same as another option, so its element can be reused
+	 */
+	_isSameOption(option, other) {
+		const keys = new Set([...Object.keys(option), ...Object.keys(other)]);
+		keys.delete("collapsed");
+		return Array.from(keys).every(_key => option[_key] === other[_key] ||
+			(_key === "value" && this._isSameValue(option.value, other.value)));
+	}
+
+	/**
+	 * Render the content of an option, highlighting the text matching the search
+	 */
+	_renderOptionContent(node, _option) {
+		const label = _option.groupHeader || this._config.highlight === false ?
+			_option.label : this._search.highlight(_option.label, this._state.query);
+
+		// Let the renderOption hook provide the content of the option
+		if (this._config.renderOption) {
+			node.setContent(this._config.renderOption(_option, {
+				selected: !_option.groupHeader && this._isSelected(_option.value),
+				disabled: !!_option.disabled,
+				groupHeader: !!_option.groupHeader,
+				query: this._state.query,
+				label
+			}));
+		} else {
+			node.setContent(label);
+		}
+
+		// Show the info of the option on a second line, unless the renderOption hook shows it
+		if (_option.info && !_option.groupHeader && !this._config.renderOption) {
+			node.append(new MultiSelectElement("span", {class: "multi-select__option_info", textContent: _option.info}).get());
+		}
+
+		// Show the selected state of the option with a checkbox before its content
+		if (this._config.checkboxes && !_option.groupHeader && !_option.action) {
+			const checkbox = new MultiSelectElement("span", {class: "multi-select__checkbox"});
+			checkbox.setAttribute("aria-hidden", "true");
+			node.get().insertBefore(checkbox.get(), node.get().firstChild);
+		}
+	}
+
+	/**
+	 * Score how well each option matches the search, with 0 for the group headers
+	 */
+	_scoreOptions(query) {
+		return this._config.options.map(_option => {
+			if (_option.groupHeader) {
+				return 0;
+			}
+			// Remote options have already been filtered by their source
+			return this._remote ? 1 : this._search.score(_option, query);
+		});
+	}
+
+	/**
+	 * Check if the matching options should be ordered by how well they match the search
+	 */
+	_sortsResults() {
+		// Remote options keep the order of their source
+		if (this._remote) {
+			return false;
+		}
+		return this._config.sortResults !== undefined ? !!this._config.sortResults : !!this._config.fuzzy;
+	}
+
+	/**
+	 * Find the index of the option with the given value
+	 */
+	_findOptionIndex(value) {
+		return this._config.options.findIndex(_option => !_option.groupHeader && !_option.action &&
+			this._isSameValue(_option.value, value));
+	}
+
+	/**
+	 * Check if a value is currently selected
+	 */
+	_isSelected(value) {
+		if (this._config.multiple) {
+			return this._config.value.some(_value => this._isSameValue(_value, value));
+		}
+		return this._config.value !== undefined && this._config.value !== null && this._config.value !== "" &&
+			this._isSameValue(this._config.value, value);
+	}
+
+	/**
+	 * Check if two values are the same, using the compare function from the config
+	 *
+	 * Without one, values are the same when they are written the same, so "5" finds the option with the value 5.
+	 */
+	_isSameValue(value, other) {
+		return this._config.compare ? !!this._config.compare(value, other) : getValueKey(value) === getValueKey(other);
+	}
+
+	/**
+	 * Find the selected value written to an element of the page
+	 */
+	_getSelectedValue(key) {
+		return [].concat(this._config.value).find(_value => getValueKey(_value) === key);
+	}
+
+	/**
+	 * Read the value and label of an option from the fields set in the config, remembering the option it was read from
+	 */
+	_normalizeOption(option) {
+		const valueField = this._config.valueField || "value";
+		const labelField = this._config.labelField || "label";
+		if (valueField === "value" && labelField === "label") {
+			return option;
+		}
+
+		// Group headers made from groups, and options read from option elements, only have a value and a label
+		const normalized = {
+			...option,
+			value: option[valueField] !== undefined ? option[valueField] : option.value,
+			label: option[labelField] !== undefined ? option[labelField] : option.label
+		};
+		this._sources.set(normalized, this._sources.get(option) || option);
+		return normalized;
+	}
+
+	/**
+	 * Handle click events
+	 */
+	_handleClick(event) {
+		// Reset dropdown
+		event.stopPropagation();
+		if (this._state.disabled || this._state.readOnly) {
+			return;
+		}
+		this._closeAllLists();
+
+		// If click is on the autocomplete field or the status row, don't do anything
+		if (event.target.className === "multi-select__autocomplete" ||
+				event.target.classList.contains("multi-select__status")) {
+			return;
+		}
+
+		// Don't open the dropdown at the end of dragging a selected option
+		if (this._dragged) {
+			this._dragged = false;
+			return;
+		}
+
+		// If the dropdown is open
+		if (this._state.opened) {
+			// Close the dropdown
+			this._closeDropdown();
+			return;
+		}
+
+		// Check for clicking on the selected option icon for removal
+		if ("fa " + event.target.parentElement.classList[1] === this._config.icon) {
+			// If the target has a fontawesome icon
+			this._unselectOption(this._getSelectedValue(event.target.parentElement.dataset.value));
+			return;
+		} else if (this._icons.includes(event.target)) {
+			// If the target is an i tag with a fontawesome class
+			this._unselectOption(this._getSelectedValue(event.target.dataset.value));
+			return;
+		} else if (event.target.tagName === "svg") {
+			// If the target is an svg tag, used for fontawesome pro icons
+			this._unselectOption(this._getSelectedValue(event.target.dataset.value));
+			return;
+		}
+
+		// Open the dropdown
+		this._openDropdown();
+	}
+
+	/**
+	 * Handle clicking outside of control to close dropdown
+	 */
+	_handleCloseClick(event) {
+		if (this._select.get().classList.contains("multi-select__select--opened")) {
+			// Clicks inside a shadow root reach the document with the host element as their target
+			const target = event.composedPath ? event.composedPath()[0] : event.target;
+			const inside = this._select.get().contains(target) || this._optionsDiv.get().contains(target);
+			if (inside) {
+				event.stopPropagation();
+			}
+			// Choose the option that was clicked, closing the dropdown unless it should stay open
+			if (this._choose(target, event)) {
+				this._closeDropdown(inside);
+			}
+		}
+		return;
+	}
+
+	/**
+	 * Handle key events
+	 */
+	_handleKeyDown(event) {
+		if (this._state.disabled || this._state.readOnly) {
+			return;
+		}
+
+		const key = this._getKey(event);
+		if (key === "Tab") {
+			this._handleTab(event);
+			return;
+		}
+
+		let handled;
+		if (this._findAction(event.target)) {
+			handled = this._handleActionKey(event);
+		} else if (this._selected_value.get().contains(event.target) && event.target !== this._selected_value.get()) {
+			handled = this._handleChipKey(event);
+		} else {
+			handled = this._handleListKey(event, key);
+		}
+
+		if (handled) {
+			event.preventDefault();
+			event.stopPropagation();
+		}
+	}
+
+	/**
+	 * Handle a key pressed on one of the actions in the header, returning true if it was handled
+	 */
+	_handleActionKey(event) {
+		if (this._matchesKey(event, "close")) {
+			this._closeDropdown();
+			return true;
+		}
+		// Use the action here, so it isn't also clicked by the browser
+		if (this._matchesKey(event, "select") || this._matchesKey(event, "toggle")) {
+			this._handleAction(event.target);
+			return true;
+		}
+		return false;
+	}
+
+	/**
+	 * Handle a key pressed on a selected option, returning true if it was handled
+	 */
+	_handleChipKey(event) {
+		const chip = event.target;
+		if (this._config.sortable && this._matchesKey(event, "movePrevious")) {
+			// eslint-disable-next-line no-magic-numbers
+			this._moveChip(chip, -1);
+		} else if (this._config.sortable && this._matchesKey(event, "moveNext")) {
+			this._moveChip(chip, 1);
+		} else if (this._matchesKey(event, "chipPrevious")) {
+			if (chip.previousElementSibling) {
+				chip.previousElementSibling.focus();
+			}
+		} else if (this._matchesKey(event, "chipNext")) {
+			if (chip.nextElementSibling) {
+				chip.nextElementSibling.focus();
+			}
+		} else if (this._matchesKey(event, "first")) {
+			this._selected_value.get().firstElementChild.focus();
+		} else if (this._matchesKey(event, "last")) {
+			this._selected_value.get().lastElementChild.focus();
+		} else if (this._matchesKey(event, "remove")) {
+			// Remove the selected option with focus
+			this._unselectOption(this._getSelectedValue(chip.dataset.value));
+			this._select.get().focus();
+		} else if (this._matchesKey(event, "close")) {
+			this._select.get().focus();
+		} else if (this._matchesKey(event, "open")) {
+			this._closeAllLists();
+			this._openDropdown();
+		} else {
+			return false;
+		}
+		return true;
+	}
+
+	/**
+	 * Handle a key pressed on the control or the autocomplete field, returning true if it was handled
+	 */
+	_handleListKey(event, key) {
+		const autocomplete = this._autocomplete && event.target === this._autocomplete.get();
+		const character = key.length === 1 && !event.ctrlKey && !event.altKey && !event.metaKey;
+		if (autocomplete && this._isTextKey(event, character)) {
+			return false;
+		}
+
+		if (!this._state.opened) {
+			if (this._matchesKey(event, "open")) {
+				this._closeAllLists();
+				this._openDropdown();
+			} else if (!this._config.autocomplete && character) {
+				this._closeAllLists();
+				this._openDropdown();
+				this._typeaheadSearch(key);
+			} else if (this._config.multiple && this._selected_value.get().firstElementChild &&
+					(this._matchesKey(event, "chipPrevious") || this._matchesKey(event, "chipNext"))) {
+				// Move to the last or first selected option
+				const chips = this._selected_value.get();
+				(this._matchesKey(event, "chipPrevious") ? chips.lastElementChild : chips.firstElementChild).focus();
+			} else {
+				return false;
+			}
+			return true;
+		}
+
+		const position = this._getNavigationOrder().indexOf(this._state.active);
+		if (this._matchesKey(event, "close")) {
+			this._closeDropdown();
+		} else if (this._matchesKey(event, "next")) {
+			// Move to the next option, starting with the first one if no option is active
+			this._moveActive(position + 1, 1);
+		} else if (this._matchesKey(event, "previous")) {
+			// Move to the previous option, starting with the last one if no option is active
+			// eslint-disable-next-line no-magic-numbers
+			this._moveActive(position === -1 ? this._getNavigationOrder().length - 1 : position - 1, -1);
+		} else if (this._matchesKey(event, "first")) {
+			this._moveActive(0, 1);
+		} else if (this._matchesKey(event, "last")) {
+			// eslint-disable-next-line no-magic-numbers
+			this._moveActive(this._getNavigationOrder().length - 1, -1);
+		} else if (this._config.multiple && (this._matchesKey(event, "extendNext") || this._matchesKey(event, "extendPrevious"))) {
+			// Select the options while moving through them, leaving the dropdown open, but don't run action options
+			const next = this._matchesKey(event, "extendNext");
+			// eslint-disable-next-line no-magic-numbers
+			if (this._moveActive(next ? position + 1 : Math.max(position, 0) - 1, next ? 1 : -1) &&
+					!this._getActiveNode().get().dataset.action) {
+				this._choose(this._getActiveNode().get(), {ctrlKey: true});
+			}
+		} else if (this._matchesKey(event, "toggle") && this._isCollapsibleActive()) {
+			// Collapse or expand the group of the active group header
+			this._toggleGroupCollapsed(this._state.active);
+		} else if (this._matchesKey(event, "select") || this._matchesKey(event, "toggle")) {
+			this._selectActive(autocomplete);
+		} else if (this._config.multiple && this._selected_value.get().firstElementChild &&
+				(this._matchesKey(event, "chipPrevious") || this._matchesKey(event, "chipNext"))) {
+			// Close the dropdown and move to the last or first selected option
+			const previous = this._matchesKey(event, "chipPrevious");
+			this._closeDropdown();
+			const chips = this._selected_value.get();
+			(previous ? chips.lastElementChild : chips.firstElementChild).focus();
+		} else if (!this._config.autocomplete && character) {
+			this._typeaheadSearch(key);
+		} else {
+			return false;
+		}
+		return true;
+	}
+
+	/**
+	 * Check if a key pressed in the autocomplete field edits its text rather than using the control
+	 */
+	_isTextKey(event, character) {
+		const value = this._autocomplete.get().value;
+		// Space collapses the active group header while nothing has been typed
+		if (character) {
+			return value !== "" || !this._matchesKey(event, "toggle") || !this._isCollapsibleActive();
+		}
+		// Keys moving through the selected options move through the text instead
+		return value !== "" &&
+			["chipPrevious", "chipNext", "movePrevious", "moveNext", "remove"].some(_action => this._matchesKey(event, _action));
+	}
+
+	/**
+	 * Check if the active option is the header of a group that can be collapsed
+	 */
+	_isCollapsibleActive() {
+		const option = this._config.options[this._state.active];
+		return !!this._config.collapsibleGroups && !!option && !!option.groupHeader;
+	}
+
+	/**
+	 * Handle the tab key, closing the dropdown and letting focus move to the next element
+	 */
+	_handleTab(event) {
+		if (!this._state.opened) {
+			return;
+		}
+
+		// Let the browser move focus between the autocomplete field and the actions in the header
+		if (this._header && this._header.get().contains(event.target)) {
+			const fields = [this._autocomplete, ...this._actions]
+				.filter(_field => _field && !_field.get().disabled).map(_field => _field.get());
+			const next = fields.indexOf(event.target) + (event.shiftKey ? -1 : 1);
+			if (next >= 0 && next < fields.length) {
+				return;
+			}
+		}
+
+		// Select the active option when tabbing out of the field, but don't run an action option
+		const node = this._getActiveNode();
+		if (this._config.tabSelect && node && !node.get().dataset.action && !this._choose(node.get())) {
+			return;
+		}
+		this._closeDropdown();
+	}
+
+	/**
+	 * Select the active option, or create one from the text typed in the autocomplete field
+	 */
+	_selectActive(autocomplete) {
+		const node = this._getActiveNode();
+		if (node) {
+			if (this._choose(node.get())) {
+				this._closeDropdown();
+			}
+		} else if (autocomplete && this._createRow && this._autocomplete.get().value.trim()) {
+			if (this._createFromText(this._autocomplete.get().value) && !this._config.multiple) {
+				this._closeDropdown();
+			}
+		}
+	}
+
+	/**
+	 * Make the option whose label starts with the typed characters active
+	 */
+	_typeaheadSearch(character) {
+		clearTimeout(this._typed.timer);
+		this._typed.timer = setTimeout(() => {
+			this._typed.text = "";
+		}, typeaheadDelay);
+		this._typed.text += character;
+
+		// Typing the same character again cycles through the options starting with it
+		const text = MultiSelectSearch.normalize(this._typed.text);
+		const repeated = text.split("").every(_character => _character === text[0]);
+		const search = repeated ? text[0] : text;
+
+		const order = this._getNavigationOrder();
+		const position = order.indexOf(this._state.active);
+		const headers = this._getGroupHeaders();
+		// eslint-disable-next-line no-magic-numbers
+		const start = position === -1 || !repeated ? Math.max(position, 0) : position + 1;
+		for (let offset = 0; offset < order.length; offset++) {
+			const index = order[(start + offset) % order.length];
+			const option = this._config.options[index];
+			if (!option.groupHeader && this._isShown(index) && this._isNavigable(index, headers) &&
+					MultiSelectSearch.normalize(option.label).startsWith(search)) {
+				this._setActive(index);
+				return;
+			}
+		}
+	}
+
+	/**
+	 * Get the name of the key pressed, including in browsers using older names or only key codes
+	 */
+	_getKey(event) {
 		if (event.key !== undefined) {
-			// Handle the keypress is it is Enter, Space, or Escape
-			switch (event.key) {
-				case "Enter":
-					handled = true;
-					openKey = true;
-					closeKey = true;
-					selectKey = true;
-					break;
-				case " ":
-				case "Spacebar":
-					handled = true;
-					openKey = true;
-					break;
-				case "Escape":
-				case "Esc":
-				case "Tab":
-					handled = true;
-					closeKey = true;
-					break;
-				case "ArrowDown":
-				case "Down":
-					handled = true;
-					moveKey = true;
-					downKey = true;
-					break;
-				case "ArrowUp":
-				case "Up":
-					handled = true;
-					moveKey = true;
-					upKey = true;
-					break;
-				case "ArrowLeft":
-				case "Left":
-					handled = true;
-					leftKey = true;
-					closeKey = true;
-					selectedMoveKey = true;
-					break;
-				case "ArrowRight":
-				case "Right":
-					handled = true;
-					rightKey = true;
-					closeKey = true;
-					selectedMoveKey = true;
-					break;
-				case "Delete":
-				case "Del":
-				case "Backspace":
-					handled = true;
-					deleteKey = true;
-					selectedMoveKey = true;
-					break;
-				case "Home":
-				case "PageUp":
-					handled = true;
-					moveKey = true;
-					topKey = true;
-					selectedMoveKey = true;
-					break;
-				case "End":
-				case "PageDown":
-					handled = true;
-					moveKey = true;
-					bottomKey = true;
-					selectedMoveKey = true;
-					break;
-				default:
-					break;
+			return legacyKeys[event.key] || event.key;
+		}
+		// This check is for backwards compatibility and uses deprecated features
+		return keyCodes[event.keyCode] || "";
+	}
+
+	/**
+	 * Check if the key pressed is one of the keys for an action in the keymap
+	 */
+	_matchesKey(event, action) {
+		const key = this._getKey(event).toLowerCase();
+		return (this._keymap[action] || []).some(_key => _key.key === key &&
+			_key.ctrlKey === !!event.ctrlKey && _key.shiftKey === !!event.shiftKey &&
+			_key.altKey === !!event.altKey && _key.metaKey === !!event.metaKey);
+	}
+
+	/**
+	 * Read the keys for each action, such as "Ctrl+ArrowLeft", from the default keymap and the keymap option
+	 */
+	_parseKeymap(keymap = {}) {
+		const actions = {...defaultKeymap, ...keymap};
+		return Object.keys(actions).reduce((parsed, action) => {
+			parsed[action] = [].concat(actions[action]).map(_key => {
+				// Split on the plus signs between the modifiers, keeping a plus sign used as the key
+				const parts = _key.split(/\+(?!$)/);
+				const name = parts.pop();
+				const modifiers = parts.map(_part => _part.toLowerCase());
+				return {
+					key: (name === "Space" ? " " : legacyKeys[name] || name).toLowerCase(),
+					ctrlKey: modifiers.includes("ctrl") || modifiers.includes("control"),
+					shiftKey: modifiers.includes("shift"),
+					altKey: modifiers.includes("alt"),
+					metaKey: modifiers.includes("meta") || modifiers.includes("cmd")
+				};
+			});
+			return parsed;
+		}, {});
+	}
+
+	/**
+	 * Open the options dropdown
+	 */
+	_openDropdown() {
+		if (!this._dispatch("beforeopen", {}, true)) {
+			return;
+		}
+
+		// Open the dropdown
+		this._select.addClass("multi-select__select--opened");
+		this._optionsDiv.addClass("multi-select__options--opened");
+		this._setExpanded(true);
+
+		// Set dropdown state to true
+		this._state.opened = true;
+		this._position.start();
+
+		// Render the options now the dropdown has a height
+		if (this._virtual) {
+			this._renderVirtual();
+		}
+
+		// Load the remote options if they don't match what has been typed
+		if (this._remote) {
+			const query = this._autocomplete ? this._autocomplete.get().value : "";
+			if (this._remote.query !== query) {
+				this._scheduleLoad(query);
+			}
+		}
+
+		// If using the autocomplete, set the focus to the field
+		if (this._autocomplete) {
+			this._autocomplete.focus();
+		// Else, keep the focus on the control and make the first option active
+		} else {
+			this._select.focus();
+			this._moveActive(0, 1);
+		}
+
+		this._dispatch("open");
+	}
+
+	/**
+	 * Expose the open state of the dropdown to assistive technology
+	 */
+	_setExpanded(expanded) {
+		setExpanded(this._select.get(), this._autocomplete ? this._autocomplete.get() : null, expanded);
+	}
+
+	/**
+	 * Handle an element in the dropdown being chosen, returning true if the dropdown should close
+	 *
+	 * In multiple mode, holding Ctrl adds the option to the selected values and Shift selects the range
+	 * of options from the last one chosen, leaving the dropdown open.
+	 */
+	_choose(target, modifiers = {}) {
+		const header = this._findGroupHeader(target);
+		if (header) {
+			// Group headers collapse or select their group and leave the dropdown open
+			this._handleGroupAction(header, target);
+			return false;
+		} else if (this._findAction(target)) {
+			// Actions in the header leave the dropdown open
+			this._handleAction(target);
+			return false;
+		} else if (this._createRow && target === this._createRow.get()) {
+			// Create a new option if the create row was chosen
+			this._createFromText(this._autocomplete.get().value);
+			return true;
+		}
+
+		const option = this._findOptionNode(target);
+		if (!option) {
+			// Clicking the other parts of the dropdown leaves it open
+			return !this._optionsDiv.get().contains(target);
+		}
+		if (option.get().dataset.disabled) {
+			return false;
+		}
+
+		const index = this._getOptionIndex(option.get());
+		const value = this._config.options[index].value;
+		// Locked options stay selected
+		if (this._config.options[index].locked) {
+			return false;
+		}
+		// Action options run their handler instead of being selected, and can't end a range of selected options
+		if (this._config.options[index].action) {
+			if (!modifiers.shiftKey) {
+				this._runAction(this._config.options[index]);
+			}
+			return false;
+		}
+		// Checkboxes keep the dropdown open while options are selected and unselected
+		const extend = this._config.checkboxes ||
+			(this._config.multiple && (modifiers.ctrlKey || modifiers.metaKey || modifiers.shiftKey));
+		if (this._config.multiple && modifiers.shiftKey && this._state.anchor !== -1) {
+			this._selectRange(this._state.anchor, index);
+		} else if (this._config.checkboxes && this._isSelected(value)) {
+			this._unselectOption(value);
+		} else if (!this._selectValue(value)) {
+			return false;
+		}
+		this._state.anchor = index;
+
+		if (extend) {
+			this._setActive(index);
+		}
+		return !extend;
+	}
+
+	/**
+	 * Close the dropdown, returning focus to the control, and call the handler of an action option
+	 */
+	_runAction(option) {
+		this._closeDropdown();
+		const source = this._sources.get(option) || option;
+		// Only the actions' own handlers are used, so an action named like "toString" doesn't call an Object method
+		const actions = this._config.actions || {};
+		const handler = Object.prototype.hasOwnProperty.call(actions, option.action) ?
+			actions[option.action] : actionHandlers.get(option.action);
+		if (handler) {
+			handler(source, this);
+		}
+		this._dispatch("action", {action: option.action, option: source});
+	}
+
+	/**
+	 * Select the options shown between two options, including both of them
+	 */
+	_selectRange(from, to) {
+		const order = this._getNavigationOrder();
+		const start = Math.min(order.indexOf(from), order.indexOf(to));
+		const end = Math.max(order.indexOf(from), order.indexOf(to));
+		const options = order.slice(start, end + 1)
+			.filter(_index => this._isShown(_index))
+			.map(_index => this._config.options[_index])
+			.filter(_option => !_option.groupHeader && !_option.disabled && !_option.action);
+		this._selectValues(options);
+	}
+
+	/**
+	 * Close the options dropdown
+	 */
+	_closeDropdown(setFocus=true) {
+		this._select.removeClass("multi-select__select--opened");
+		this._optionsDiv.removeClass("multi-select__options--opened");
+		this._position.stop();
+		this._setExpanded(false);
+		this._setActive(-1);
+		if (setFocus) {
+			this._select.get().focus();
+		}
+
+		// Set dropdown state to false
+		this._state.opened = false;
+		this._dispatch("close");
+		return;
+	}
+
+	/**
+	 * Keep focus on the autocomplete field or the control while clicking the options
+	 */
+	_handleMouseDown(event) {
+		if (event.target.tagName !== "INPUT" && event.target.tagName !== "BUTTON") {
+			event.preventDefault();
+		}
+	}
+
+	/**
+	 * Set the value of the control
+	 */
+	_setValue(value, manual, unselected) {
+		// Checkboxes keep the search while options are selected from the results
+		if (this._config.autocomplete && !(this._config.checkboxes && this._state.opened)) {
+			this._autocomplete.get().value = '';
+			this._removeAllHiddenClass();
+			this._updateCreateRow("");
+		}
+		this._updateValue(value, manual, unselected);
+	}
+
+	/**
+	 * Update the value and everything showing it, without touching the search
+	 */
+	_updateValue(value, manual, unselected) {
+		if (value !== undefined && !unselected) {
+			this._config.value = this._config.multiple ? this._config.value.concat(value) : value;
+		}
+		if (value !== undefined && unselected) {
+			this._config.value = value;
+		}
+		// Keep the values with the type of the option they belong to
+		const toOptionValue = _value => {
+			const option = this._getSelectedOption(_value);
+			return option ? option.value : _value;
+		};
+		if (this._config.multiple) {
+			this._config.value = this._config.value.map(toOptionValue);
+		} else if (this._config.value !== undefined && this._config.value !== null && this._config.value !== "") {
+			this._config.value = toOptionValue(this._config.value);
+		}
+		// Locked options are always selected
+		if (this._config.multiple) {
+			const locked = this._config.options
+				.filter(_option => _option.locked && !_option.groupHeader && !this._isSelected(_option.value))
+				.map(_option => _option.value);
+			if (locked.length) {
+				this._config.value = locked.concat(this._config.value);
 			}
-		// This check is for backwards compatibility and uses deprecated features
-		} else if (event.keyCode !== undefined) {
-			// Handle the keypress is it is Enter, Space, or Escape
-			switch (event.keyCode) {
-				case "Enter":
-					handled = true;
-					openKey = true;
-					closeKey = true;
-					selectKey = true;
-					break;
-				case "Space":
-					handled = true;
-					openKey = true;
-					break;
-				case "Escape":
-				case "Tab":
-					handled = true;
-					closeKey = true;
-					break;
-				case "ArrowDown":
-					handled = true;
-					moveKey = true;
-					downKey = true;
-					break;
-				case "ArrowUp":
-					handled = true;
-					moveKey = true;
-					upKey = true;
-					break;
-				case "ArrowLeft":
-					handled = true;
-					leftKey = true;
-					closeKey = true;
-					selectedMoveKey = true;
-					break;
-				case "ArrowRight":
-					handled = true;
-					rightKey = true;
-					closeKey = true;
-					selectedMoveKey = true;
-					break;
-				case "Delete":
-					handled = true;
-					deleteKey = true;
-					selectedMoveKey = true;
-					break;
-				case "Home":
-				case "PageUp":
-					handled = true;
-					moveKey = true;
-					topKey = true;
-					break;
-				case "End":
-				case "PageDown":
-					handled = true;
-					moveKey = true;
-					bottomKey = true;
-					break;
-				default:
-					break;
-			}
-		}
-
-		// If this is a key we are handling
-		if (handled) {
-			// Reset dropdown
-			event.stopPropagation();
-			this._closeAllLists();
+		}
+		// Forget the removed options of values that are no longer selected
+		this._missingOptions.forEach((_option, key) => {
+			if (this._getSelectedValue(key) === undefined) {
+				this._missingOptions.delete(key);
+			}
+		});
+		// Never keep more values than the maximum
+		if (this._config.multiple && this._config.maxItems && this._config.value.length > this._config.maxItems) {
+			this._config.value = this._config.value.slice(0, this._config.maxItems);
+		}
+
+		this._syncNativeSelect(manual);
+		this._updateInputs();
+		this._updateValidity();
+		this._updateLimits();
+		this._markSelectedOptions();
+
+		if (this._config.multiple) {
+			const options = this._config.value
+				.map(_value => this._getSelectedOption(_value))
+				// Skip values that no longer have an option
+				.filter(_option => _option);
+
+			this._selectOptions(options, manual);
+			this._updatePlaceholder();
+			this._handleChange(manual);
+
+			return;
+		}
+
+		const option = this._config.value !== undefined && this._config.value !== null && this._config.value !== "" ?
+			this._getSelectedOption(this._config.value) : null;
+
+		if (option) {
+			this._selectOption(option, manual);
+		} else if (this._selectedOption || manual) {
+			// Nothing is selected anymore, so clear the label
+			this._selectOption(null, manual);
+		}
+		this._updatePlaceholder();
+		this._handleChange(manual);
+	}
+
+	/**
+	 * Show the placeholder in the label while nothing is selected
+	 */
+	_updatePlaceholder() {
+		if (!this._placeholder) {
+			return;
+		}
+
+		const empty = this._config.multiple ? !this._config.value.length : !this._selectedOption;
+		if (empty) {
+			this._selected_value.append(this._placeholder.get());
+		} else {
+			this._placeholder.get().remove();
+		}
+	}
+
+	/**
+	 * Add the selected class to the options matching the value
+	 */
+	_markSelectedOptions() {
+		// The selected state is applied while rendering the visible options
+		if (this._virtual) {
+			this._renderVirtual();
+			return;
+		}
+
+		this._config.options.forEach((_option, index) => {
+			if (!_option.groupHeader && !_option.action) {
+				this._setOptionSelected(this._options[index], this._isSelected(_option.value));
+				this._setOptionLimited(this._options[index], _option);
+			}
+		});
+	}
+
+	/**
+	 * Set the selected state of an option element
+	 */
+	_setOptionSelected(option, selected) {
+		option.toggleClass("multi-select__option--selected", selected)
+			.setAttribute("aria-selected", selected.toString());
+	}
+
+	/**
+	 * Select a single option
+	 */
+	_selectOption(option, manual) {
+		this._selectedOption = option;
+
+		if (option && this._config.renderSelected) {
+			this._selected_value.setContent(this._config.renderSelected(option));
+		} else {
+			this._selected_value.setText(option ? option.label : "");
+		}
+
+		if (this._config.onChange && manual) {
+			this._config.onChange(option ? option.value : "");
+		}
+	}
+
+	/**
+	 * Select mutliple options
+	 */
+	_selectOptions(options, manual) {
+		this._selected_value.setText("");
+
+		// Show how many options are selected instead of the options once there are too many of them
+		if (this._config.summaryThreshold !== undefined && options.length > this._config.summaryThreshold) {
+			this._selected_value.append(new MultiSelectElement("span", {
+				class: "multi-select__summary",
+				textContent: this._getMessage("summary", {count: options.length})
+			}).get());
+			options = [];
+		}
+
+		this._icons = [];
+		options.forEach(_option => {
+			let classSelected = "multi-select__selected-label ".concat((_option.class) ? _option.class : '');
+			if (_option.locked) classSelected += " multi-select__selected-label--locked";
+			const selectedLabel = new MultiSelectElement("span", {
+				class: classSelected,
+				value: getValueKey(_option.value),
+				textContent: _option.label,
+				tabindex: "-1",
+				part: "chip"
+			});
+			if (_option.info) {
+				selectedLabel.setAttribute("title", _option.info);
+			}
+			if (this._config.renderSelected) {
+				selectedLabel.setContent(this._config.renderSelected(_option));
+			}
+
+			// Locked values can't be removed, so they don't get a remove icon
+			if (!_option.locked) {
+				const icon = new MultiSelectElement("i", {
+					class: this._config.icon,
+					value: getValueKey(_option.value),
+					role: "button"
+				});
+				icon.setAttribute("aria-label", this._getMessage("remove", {label: _option.label}));
+				selectedLabel.append(icon.get());
+				this._icons.push(icon.get());
+			}
+			this._selected_value.append(selectedLabel.get());
+		});
+
+		// Keep the dropdown next to the control as the selected values wrap onto more lines
+		if (this._state.opened) {
+			this._position.update();
+		}
+
+		if (this._config.onChange && manual) {
+			this._config.onChange(this._config.value);
+		}
+	}
+
+	/**
+	 * Unselect an option
+	 */
+	_unselectOption(value) {
+		const option = this._getSelectedOption(value);
+		if (value === undefined || (option && option.locked)) {
+			return;
+		}
+		// Keep at least the minimum number of values selected
+		if (this._config.minItems && this._config.value.length <= this._config.minItems) {
+			return;
+		}
+
+		const detail = {value, option, values: this.getValue()};
+		if (!this._dispatch("beforeunselect", detail, true)) {
+			return;
+		}
+
+		this._removeValue(value);
+	}
+
+	/**
+	 * Remove a value from the selected values
+	 */
+	_removeValue(value) {
+		const newValue = [...this._config.value];
+		const index = newValue.findIndex(_value => this._isSameValue(_value, value));
+
+		// eslint-disable-next-line no-magic-numbers
+		if (index !== -1) {
+			newValue.splice(index, 1);
+		}
+
+		this._setValue(newValue, true, true);
+	}
+
+	/**
+	 * Select a value chosen by the user, unless a listener cancels the selection
+	 */
+	_selectValue(value) {
+		// Selecting a value that is already selected leaves the value as it is
+		if (this._config.multiple && this._isSelected(value)) {
+			return true;
+		}
+		if (this._isFull()) {
+			this._announce(this._getMessage("maxReached", {count: this._config.maxItems}));
+			return false;
+		}
+
+		const detail = {value, option: this._getOption(value), values: this.getValue()};
+		if (!this._dispatch("beforeselect", detail, true)) {
+			return false;
+		}
+
+		this._setValue(value, true);
+		return true;
+	}
+
+	/**
+	 * Move a selected value to a new position in the value
+	 */
+	_moveValue(from, to) {
+		if (from === to || to < 0 || to >= this._config.value.length) {
+			return;
+		}
+
+		const newValue = [...this._config.value];
+		const [value] = newValue.splice(from, 1);
+		newValue.splice(to, 0, value);
+		this._setValue(newValue, true, true);
+
+		this._announce(this._getMessage("moved", {label: this._getLabel(value), position: to + 1, count: newValue.length}));
+	}
+
+	/**
+	 * Get the position in the value of a selected option element
+	 */
+	_getChipIndex(chip) {
+		return this._config.value.findIndex(_value => getValueKey(_value) === chip.dataset.value);
+	}
+
+	/**
+	 * Move a selected option element by a number of positions, keeping focus on it
+	 */
+	_moveChip(chip, step) {
+		const index = this._getChipIndex(chip);
+		// eslint-disable-next-line no-magic-numbers
+		if (index === -1) {
+			return;
+		}
+
+		const value = this._config.value[index];
+		this._moveValue(index, index + step);
+		const moved = Array.from(this._selected_value.get().children).find(_chip => _chip.dataset.value === getValueKey(value));
+		if (moved) {
+			moved.focus();
+		}
+	}
+
+	/**
+	 * Handle a pointer being pressed on a selected option, to start dragging it
+	 */
+	_handleDragStart(event) {
+		// A drag released outside the control isn't followed by a click, so forget it before the next one
+		this._dragged = false;
+		const chip = event.target.closest(".multi-select__selected-label");
+		// Leave the remove icon to be clicked
+		if (this._state.disabled || this._state.readOnly || event.button !== 0 || !chip || this._icons.some(_icon => _icon.contains(event.target))) {
+			return;
+		}
+
+		this._drag = {chip, index: this._getChipIndex(chip), x: event.clientX, y: event.clientY, started: false};
+		if (chip.setPointerCapture) {
+			chip.setPointerCapture(event.pointerId);
+		}
+	}
+
+	/**
+	 * Handle a pointer moving while dragging a selected option, moving it to the position under the pointer
+	 */
+	_handleDragMove(event) {
+		if (!this._drag) {
+			return;
+		}
 
-			// If the dropdown is open and key pressed is a close key
-			if (this._state.opened && closeKey) {
-				// Close the dropdown
-				this._closeDropdown(true, selectKey);
+		const {chip} = this._drag;
+		if (!this._drag.started) {
+			// Wait for the pointer to move a little, so clicks aren't treated as drags
+			// eslint-disable-next-line no-magic-numbers
+			if (Math.abs(event.clientX - this._drag.x) + Math.abs(event.clientY - this._drag.y) < 5) {
 				return;
 			}
+			this._drag.started = true;
+			chip.classList.add("multi-select__selected-label--dragging");
+		}
 
-			// If an open key was pressed
-			if (openKey) {
-				// Open the dropdown
-				this._openDropdown();
+		// Place the option before or after the one under the pointer
+		const target = Array.from(this._selected_value.get().children).find(_chip => {
+			const rect = _chip.getBoundingClientRect();
+			return _chip !== chip && event.clientX >= rect.left && event.clientX <= rect.right &&
+				event.clientY >= rect.top && event.clientY <= rect.bottom;
+		});
+		if (target) {
+			const rect = target.getBoundingClientRect();
+			// eslint-disable-next-line no-magic-numbers
+			const after = event.clientX > rect.left + rect.width / 2;
+			this._selected_value.get().insertBefore(chip, after ? target.nextSibling : target);
+		}
+	}
+
+	/**
+	 * Handle a pointer being released after dragging a selected option, updating the order of the values
+	 */
+	_handleDragEnd(event) {
+		if (!this._drag) {
+			return;
+		}
+
+		const {chip, index, started} = this._drag;
+		this._drag = null;
+		if (!started) {
+			return;
+		}
+
+		chip.classList.remove("multi-select__selected-label--dragging");
+		// Only a drag released over the control is followed by a click on it, which shouldn't open the dropdown
+		const rect = this._select.get().getBoundingClientRect();
+		this._dragged = event.clientX >= rect.left && event.clientX <= rect.right &&
+			event.clientY >= rect.top && event.clientY <= rect.bottom;
+		if (event.type === "pointercancel") {
+			// Put the options back in the order of the value
+			this._setValue();
+			return;
+		}
+
+		// Move the value after the value of the option it was dropped after
+		const previous = chip.previousElementSibling;
+		const to = previous ? this._getChipIndex(previous) + 1 : 0;
+		this._moveValue(index, to > index ? to - 1 : to);
+	}
+
+	/**
+	 * Dispatch an event on the host element, returning false if a listener cancelled it
+	 */
+	_dispatch(name, detail = {}, cancelable = false) {
+		const event = new CustomEvent(`multiselect:${name}`, {bubbles: true, cancelable, detail});
+		return this._element.dispatchEvent(event);
+	}
+
+	/**
+	 * Sort the options
+	 */
+	_sortOptions(event) {
+		this._setActive(-1);
+		this._dispatch("search", {query: event.target.value});
+		this._updateCreateRow(event.target.value);
+
+		// Remote options are filtered by their source
+		if (this._remote) {
+			this._scheduleLoad(event.target.value);
+			return;
+		}
+
+		if (this._virtual) {
+			const count = this._filterVirtual(event.target.value);
+			this._setStatus(count ? "" : this._getMessage("noResults"));
+			this._announceResults(count);
+			return;
+		}
+
+		const count = this._filterOptions(event.target.value);
+		this._setStatus(count ? "" : this._getMessage("noResults"));
+		this._announceResults(count);
+	}
+
+	/**
+	 * Hide the options that don't match the search, returning the number of matching options
+	 */
+	_filterOptions(query) {
+		// Content only needs to be rendered again when the highlighted text changes
+		const render = query !== "" || this._state.query !== "";
+		this._state.query = query;
+
+		const scores = this._scoreOptions(query);
+		const kept = this._remote ? this._remote.kept : 0;
+		let count = 0;
+		this._options.forEach((_option, index) => {
+			const option = this._config.options[index];
+			if (option.groupHeader) {
+				_option.removeClass("multi-select__option--hidden");
+				return;
+			}
+			// The options kept for the selected values stay hidden among the remote results
+			const shown = !!scores[index] && index >= kept;
+			_option.toggleClass("multi-select__option--hidden", !shown);
+			if (shown) {
+				count++;
+				if (render) {
+					this._renderOptionContent(_option, option);
+				}
 			}
+		});
+		this._updateGroups();
+		this._checkActive();
 
-			// If the dropdown is open and a move key was pressed
-			if (this._state.opened && moveKey) {
-				if (downKey) {
-					// Move to the next option
-					let sibling = document.activeElement.nextSibling;
-					while (sibling) {
-						if (!sibling.classList.contains("multi-select__option--selected") &&
-								!sibling.classList.contains("multi-select__option--hidden") &&
-								!sibling.classList.contains("multi-select__option--group_header") &&
-								!sibling.dataset.disabled) {
-							sibling.focus();
-							break;
-						}
-						sibling = sibling.nextSibling;
-					}
-				} else if (upKey) {
-					// Move to the previous option
-					let sibling = document.activeElement.previousSibling;
-					while (sibling) {
-						if (!sibling.classList.contains("multi-select__option--selected") &&
-								!sibling.classList.contains("multi-select__option--hidden") &&
-								!sibling.classList.contains("multi-select__option--group_header") &&
-								!sibling.dataset.disabled) {
-							sibling.focus();
-							break;
-						}
-						sibling = sibling.previousSibling;
-					}
-				} else if (bottomKey) {
-					// Move to the last option
-					let sibling = this._optionsDiv.get().lastElementChild;
-					while (sibling) {
-						if (!sibling.classList.contains("multi-select__option--selected") &&
-								!sibling.classList.contains("multi-select__option--hidden") &&
-								!sibling.classList.contains("multi-select__option--group_header") &&
-								!sibling.dataset.disabled) {
-							sibling.focus();
-							break;
-						}
-						sibling = sibling.previousSibling;
-					}
-				} else if (topKey) {
-					// Move to the first option
-					let sibling = this._optionsDiv.get().firstElementChild;
-					while (sibling) {
-						if (!sibling.classList.contains("multi-select__option--selected") &&
-								!sibling.classList.contains("multi-select__option--hidden") &&
-								!sibling.classList.contains("multi-select__option--group_header") &&
-								!sibling.dataset.disabled) {
-							sibling.focus();
-							break;
-						}
-						sibling = sibling.nextSibling;
-					}
+		if (this._sortsResults()) {
+			this._orderOptions(scores);
+		}
+		return count;
+	}
+
+	/**
+	 * Order the options within their group by how well they match the search
+	 */
+	_orderOptions(scores) {
+		const ranked = this._state.query !== "";
+		const listbox = this._listbox.get();
+
+		// Find the options in each group, and those outside a group
+		const containers = new Map();
+		this._options.forEach((_option, index) => {
+			if (!this._config.options[index].groupHeader) {
+				const parent = _option.get().parentNode;
+				if (!containers.has(parent)) {
+					containers.set(parent, []);
 				}
+				containers.get(parent).push(index);
 			}
+		});
 
-			// If the dropdown is not open, or the left key or the right key was pressed
-			if (this._config.multiple && ((!this._state.opened && selectedMoveKey) || leftKey || rightKey)) {
-				// If focus is currently on one of the selected options
-				if (this._selected_value.get().contains(document.activeElement)) {
-					// Handle normal movement through selected options
-					if (rightKey) {
-						// Move to the next selected option
-						if (document.activeElement.nextSibling) {
-							document.activeElement.nextSibling.focus();
-						}
-					} else if (leftKey) {
-						// Move to the previous selected option
-						if (document.activeElement.previousSibling) {
-							document.activeElement.previousSibling.focus();
-						}
-					} else if (bottomKey) {
-						// Move to the last selected option
-						this._selected_value.get().lastElementChild.focus();
-					} else if (topKey) {
-						// Move to the first selected option
-						this._selected_value.get().firstElementChild.focus();
-					} else if (deleteKey) {
-						// Remove the selected option with focus
-						this._unselectOption(event.target.querySelector('[data-value]').dataset.value);
-						this._select.get().focus();
-					}
-				// If left arrow is pressed and the drop down is open
-				} else if (rightKey) {
-					if (this._state.opened) {
-						// Close the dropdown
-						this._closeDropdown();
-					}
+		containers.forEach((indexes, parent) => {
+			indexes.sort((a, b) => (ranked ? scores[b] - scores[a] : 0) || a - b);
+			// Options outside a group stay before the groups
+			const before = parent === listbox ? listbox.querySelector(".multi-select__group") : null;
+			indexes.forEach(index => parent.insertBefore(this._options[index].get(), before));
+		});
+	}
+
+	/**
+	 * Get the indexes of the options in the order they are displayed
+	 */
+	_getDisplayOrder() {
+		if (!this._sortsResults()) {
+			return this._options.map((_option, index) => index);
+		}
+		const indexes = new Map(this._options.map((_option, index) => [_option.get(), index]));
+		return Array.from(this._listbox.get().querySelectorAll(".multi-select__option")).map(_node => indexes.get(_node));
+	}
+
+	/**
+	 * Show the create row if the typed text can be used to create a new option
+	 */
+	_updateCreateRow(text) {
+		if (!this._createRow) {
+			return;
+		}
+
+		const label = text.trim();
+		const show = label !== "" && !this._findOptionByLabel(label) && this._canCreate(label);
+		this._createRow.setText(show ? this._getMessage("create", {label}) : "");
+		this._createRow.toggleClass("multi-select__create--hidden", !show);
+	}
+
+	/**
+	 * Find the option with the given label, ignoring case and accents
+	 */
+	_findOptionByLabel(label) {
+		const search = MultiSelectSearch.normalize(label);
+		return this._config.options.find(_option => !_option.groupHeader && MultiSelectSearch.normalize(_option.label) === search);
+	}
+
+	/**
+	 * Check the text against the createFilter option
+	 */
+	_canCreate(text) {
+		const filter = this._config.createFilter;
+		if (filter instanceof RegExp) {
+			return filter.test(text);
+		}
+		return typeof filter === "function" ? filter(text) !== false : true;
+	}
+
+	/**
+	 * Create a new option from text and select it, returning false if it was rejected
+	 */
+	_createFromText(text) {
+		const label = text.trim();
+		if (!label) {
+			return false;
+		}
+
+		// Select the existing option instead of creating a duplicate
+		const existing = this._findOptionByLabel(label);
+		if (existing) {
+			if (!existing.disabled && !this._isSelected(existing.value)) {
+				this._selectValue(existing.value);
+			}
+			return true;
+		}
 
-					if (this._selected_value.get().hasChildNodes()) {
-						// Select the first selected option
-						this._selected_value.get().firstElementChild.focus();
-					}
-				// If the right arrow is pressed and the drop down is open
-				} else if (leftKey) {
-					if (this._state.opened) {
-						// Close the dropdown
-						this._closeDropdown();
-					}
+		if (!this._canCreate(label)) {
+			return false;
+		}
 
-					if (this._selected_value.get().hasChildNodes()) {
-						// Select the last selected option
-						this._selected_value.get().lastElementChild.focus();
-					}
-				}
+		// Let the onCreate hook transform or reject the new option
+		const valueField = this._config.valueField || "value";
+		const labelField = this._config.labelField || "label";
+		let option = {[labelField]: label, [valueField]: label};
+		if (this._config.onCreate) {
+			const result = this._config.onCreate(label);
+			if (result === undefined || result === null || result === false) {
+				return false;
 			}
+			option = typeof result === "object" ? result : {[labelField]: result.toString(), [valueField]: result};
+		}
+		option = this._normalizeOption(option);
+
+		if (!this._getOption(option.value)) {
+			this.addOption(option);
+			this._dispatch("create", {option});
 		}
+		if (!this._isSelected(option.value)) {
+			this._selectValue(option.value);
+		}
+		return true;
 	}
 
 	/**
-	 * Open the options dropdown
+	 * Create options for each delimited part of the text typed in the autocomplete field
 	 */
-	_openDropdown() {
-		// Open the dropdown
-		this._select.addClass("multi-select__select--opened");
+	_handleCreateInput(event) {
+		const parts = this._splitText(event.target.value);
+		if (parts.length < 2) {
+			return;
+		}
 
-		// Set dropdown state to true
-		this._state.opened = true;
+		// The text after the last delimiter is still being typed
+		const rest = parts.pop();
+		parts.forEach(_part => this._createFromText(_part));
+		event.target.value = rest;
+	}
 
-		// If using the autocomplete, set the focus to the field
-		if (this._autocomplete) {
-			this._autocomplete.focus();
-		// Else, set the focus to the first option in the dropdown
-		} else {
-			this._optionsDiv.get().firstElementChild.focus();
+	/**
+	 * Create options for each delimited part of the pasted text
+	 */
+	_handlePaste(event) {
+		const parts = this._splitText(event.clipboardData ? event.clipboardData.getData("text") : "");
+		if (parts.length < 2) {
+			return;
 		}
+
+		event.preventDefault();
+		parts.forEach(_part => this._createFromText(_part));
 	}
 
 	/**
-	 * Close the options dropdown
+	 * Split text using the delimiters option and new lines
 	 */
-	_closeDropdown(setFocus=true, select=true) {
-		if (select) {
-			// Check if an option had focus and a selection key was pressed, if so, select it
-			const option = this._options.find(_option => _option.get() === event.target);
-			if (option) {
-				if (!option.get().dataset.disabled) {
-					this._setValue(option.get().dataset.value, true);
-				} else {
-					return;
-				}
-			}
-		}
+	_splitText(text) {
+		const delimiters = this._config.delimiters || [];
+		return delimiters.reduce((_text, _delimiter) => _text.split(_delimiter).join("\n"), text)
+			.split(/\r?\n/);
+	}
 
-		// Close the dropdown
-		this._select.removeClass("multi-select__select--opened");
-		if (setFocus) {
-			this._select.get().focus();
+	/**
+	 * Load the remote options for a query once the user stops typing
+	 */
+	_scheduleLoad(query) {
+		clearTimeout(this._remote.timer);
+
+		// Use the cached options if this query has already been loaded
+		if (this._remote.cache.has(query)) {
+			this._abortLoad();
+			this._renderRemoteOptions(query);
+			return;
 		}
 
-		// Set dropdown state to false
-		this._state.opened = false;
-		return;
+		this._select.addClass("multi-select__select--loading");
+		this._setStatus(this._getMessage("loading"));
+		const delay = this._config.loadDelay !== undefined ? this._config.loadDelay : defaultLoadDelay;
+		this._remote.timer = setTimeout(() => this._loadOptions(query), delay);
 	}
 
 	/**
-	 * Prevent weirdness from default actions
+	 * Load the options for a query from the remote source
 	 */
-	_preventDefaultAction(event) {
-		// Prevent default action from happening if focused element is part of multi-select
-		if (document.activeElement == this._select.get() || this._select.get().contains(document.activeElement)) {
-			if (event.key == "Tab" || event.keyCode == "Tab") {
-				if (this._state.opened) {
-					if (this._config.tabSelect) {
-						// Select the focused option when tabbing out of the field
-						const option = this._options.find(_option => _option.get() === event.target);
-
-						if (option) {
-							if (!option.get().dataset.disabled) {
-								this._setValue(option.get().dataset.value, true);
-							} else {
-								return;
-							}
-						}
-					}
+	_loadOptions(query) {
+		// Cancel any request that is still waiting for a response
+		this._abortLoad();
+		const request = ++this._remote.request;
+		this._remote.controller = typeof AbortController !== "undefined" ? new AbortController() : null;
+		const signal = this._remote.controller ? this._remote.controller.signal : undefined;
 
-					// Close the dropdown
-					this._closeDropdown();
-				}
+		const done = options => {
+			// Ignore responses to requests that have been replaced by a newer one
+			if (request !== this._remote.request || this._state.destroyed) {
 				return;
 			}
-			let eventKeys = ["Enter", " ", "Spacebar", "Escape", "Esc", "ArrowDown", "Down", "ArrowUp", "Up", "ArrowLeft", "Left", "ArrowRight",
-				"Right", "Delete", "Del", "Backspace", "Home", "PageUp", "End", "PageDown"];
-			if ((!this._config.autocomplete || document.activeElement != this._autocomplete.get()) && eventKeys.includes(event.key)) {
-				event.preventDefault();
-				event.stopPropagation();
+			this._remote.controller = null;
+			this._remote.cache.set(query, (options || []).map(_option => this._normalizeOption(_option)));
+			this._renderRemoteOptions(query);
+		};
+		const fail = () => {
+			if (request !== this._remote.request || this._state.destroyed) {
+				return;
+			}
+			this._remote.controller = null;
+			this._select.removeClass("multi-select__select--loading");
+			this._setStatus(this._getMessage("noResults"));
+		};
+
+		try {
+			if (this._config.source) {
+				Promise.resolve(this._config.source(query, signal)).then(done, fail);
+			} else {
+				this._config.load(query, done, signal);
 			}
+		} catch (error) {
+			fail();
 		}
 	}
 
 	/**
-	 * Set the value of the control
+	 * Cancel the remote request that is currently in progress
 	 */
-	_setValue(value, manual, unselected) {
-		if (this._config.autocomplete) {
-			this._autocomplete.get().value = '';
-			this._removeAllHiddenClass();
-		}
-		if (value && !unselected) {
-			this._config.value = this._config.multiple ? this._config.value.concat(value) : value;
-		}
-		if (value && unselected) {
-			this._config.value = value;
+	_abortLoad() {
+		this._remote.request++;
+		if (this._remote.controller) {
+			this._remote.controller.abort();
+			this._remote.controller = null;
 		}
+	}
 
-		this._options.forEach(_option => {
-			_option.removeClass("multi-select__option--selected");
-		});
+	/**
+	 * Replace the options in the dropdown with the remote options for a query
+	 */
+	_renderRemoteOptions(query) {
+		const results = this._remote.cache.get(query);
+		this._setActive(-1);
 
-		if (this._config.multiple) {
-			const options = this._config.value.map(_value => {
-				const option = this._config.options.find(_option => _option.value === _value);
-				const optionNode = this._options.find(
-					_option => _option.get().dataset.value === option.value.toString()
-				);
+		// Keep the options for selected values that are not part of the results, so they can still be displayed
+		const selected = this._config.options.filter(_option => !_option.groupHeader && this._isSelected(_option.value) &&
+			!results.some(_result => this._isSameValue(_result.value, _option.value)));
 
-				optionNode.addClass("multi-select__option--selected");
+		this._config.options = selected.concat(results);
+		this._remote.kept = selected.length;
+		this._state.query = query;
+		if (this._virtual) {
+			this._resetVirtual();
+		} else {
+			this._listbox.setText("");
+			this._group = null;
+			this._options = this._config.options.map(_option => this._createOption(_option));
+			this._options.slice(0, selected.length).forEach(_option => _option.addClass("multi-select__option--hidden"));
+			this._markSelectedOptions();
+			this._updateGroups();
+		}
 
-				return option;
-			});
+		this._remote.query = query;
+		this._select.removeClass("multi-select__select--loading");
+		this._setStatus(results.length ? "" : this._getMessage("noResults"));
+		this._announceResults(results.length);
+	}
 
-			this._selectOptions(options, manual);
+	/**
+	 * Link the control to a parent control, so its options follow the value of the parent
+	 */
+	_linkParent(parent) {
+		this._cascade = {
+			parent,
+			options: this._config.options,
+			request: 0,
+			controller: null,
+			disabled: false,
+		};
+		parent._element.addEventListener("multiselect:change", this._boundHandleParentChange);
+		this._handleParentChange(null, true);
+	}
+
+	/**
+	 * Handle the value of the parent control changing, deriving the options from its new value
+	 */
+	_handleParentChange(event, initial = false, keepValues = !!this._config.keepMissingValues) {
+		this._abortParentLoad();
+		const value = this._cascade.parent.getValue();
+		const values = [].concat(value)
+			.filter(_value => _value !== undefined && _value !== null && _value !== "")
+			.map(_value => getValueKey(_value));
 
+		// There is nothing to choose from until a value is selected in the parent
+		if (!values.length) {
+			this._replaceOptions([], keepValues, initial);
+			if (!this._state.disabled) {
+				this.disable();
+				this._cascade.disabled = true;
+			}
 			return;
 		}
+		if (this._cascade.disabled) {
+			this.enable();
+			this._cascade.disabled = false;
+		}
 
-		if (!this._config.options.length) {
+		if (!this._config.dependentOptions) {
+			this._replaceOptions(this._filterByParent(values), keepValues, initial);
 			return;
 		}
 
-		const option = this._config.value ?
-			this._config.options.find(_option => _option.value.toString() === this._config.value) : '';
+		// Load the options for the value of the parent
+		const request = ++this._cascade.request;
+		this._cascade.controller = typeof AbortController !== "undefined" ? new AbortController() : null;
+		const signal = this._cascade.controller ? this._cascade.controller.signal : undefined;
+		this._select.addClass("multi-select__select--loading");
+		this._setStatus(this._getMessage("loading"));
 
-		if (option !== '') {
-			const optionNode = this._options.find(
-				_option => _option.get().dataset.value === option.value.toString()
-			);
+		const done = options => {
+			// Ignore responses for values the parent no longer has
+			if (request !== this._cascade.request || this._state.destroyed) {
+				return;
+			}
+			this._cascade.controller = null;
+			this._select.removeClass("multi-select__select--loading");
+			this._setStatus("");
+			this._replaceOptions((options || []).map(_option => this._normalizeOption(_option)), keepValues, initial);
+		};
+		const fail = () => {
+			if (request !== this._cascade.request || this._state.destroyed) {
+				return;
+			}
+			this._cascade.controller = null;
+			this._select.removeClass("multi-select__select--loading");
+			this._replaceOptions([], keepValues, initial);
+			this._setStatus(this._getMessage("noResults"));
+		};
 
-			optionNode.addClass("multi-select__option--selected");
-			this._selectOption(option, manual);
+		try {
+			Promise.resolve(this._config.dependentOptions(value, signal)).then(done, fail);
+		} catch (error) {
+			fail();
 		}
 	}
 
 	/**
-	 * Select a single option
+	 * Cancel loading the options for the value of the parent control
 	 */
-	_selectOption(option, manual) {
-		this._selectedOption = option;
-
-		this._selected_value.setText(option.label);
-
-		if (this._config.onChange && manual) {
-			this._config.onChange(option.value);
+	_abortParentLoad() {
+		this._cascade.request++;
+		if (this._cascade.controller) {
+			this._cascade.controller.abort();
+			this._cascade.controller = null;
 		}
 	}
 
 	/**
-	 * Select mutliple options
+	 * Get the options belonging to the values of the parent control, keeping the headers of their groups
 	 */
-	_selectOptions(options, manual) {
-		this._selected_value.setText("");
-
-		this._icons = options.map(_option => {
-			const selectedLabel = new MultiSelectElement("span", {
-				class: "multi-select__selected-label ".concat((_option.class) ? _option.class : ''),
-				textContent: _option.label,
-				tabindex: "-1"
-			});
-			const icon = new MultiSelectElement("i", {
-				class: this._config.icon,
-				value: _option.value,
-			});
-
-			selectedLabel.append(icon.get());
-			this._selected_value.append(selectedLabel.get());
-
-			return icon.get();
+	_filterByParent(values) {
+		const field = this._config.parentField || "parent";
+		const options = [];
+		let header = null;
+		this._cascade.options.forEach(_option => {
+			if (_option.groupHeader) {
+				header = _option;
+				return;
+			}
+			const parents = [].concat(_option[field]).filter(_parent => _parent !== undefined && _parent !== null);
+			if (parents.some(_parent => values.includes(getValueKey(_parent)))) {
+				// Only add the header of a group once one of its options belongs to the parent
+				if (header) {
+					options.push(header);
+					header = null;
+				}
+				options.push(_option);
+			}
 		});
+		return options;
+	}
 
-		if (manual) {
-			// eslint-disable-next-line no-magic-numbers
-			this._optionsDiv.setTop(Number(this._select.getHeight().split("px")[0]));
+	/**
+	 * Get the canonical form of a locale tag, falling back to English when it is missing or invalid
+	 */
+	_getLocale(locale) {
+		try {
+			return Intl.getCanonicalLocales(locale || [])[0] || "en";
+		} catch (error) {
+			// A tag such as "en_US" would stop the plural rules, and so the control, being created
+			return "en";
 		}
+	}
 
-		if (this._config.onChange && manual) {
-			this._config.onChange(this._config.value);
+	/**
+	 * Get the messages for a locale, falling back to its language and then to English
+	 */
+	_getMessages(locale) {
+		const key = locale.toLowerCase();
+		const messages = {...locales.en, ...locales[key.split("-")[0]], ...locales[key], ...this._config.messages};
+		if (this._config.placeholder) {
+			messages.placeholder = this._config.placeholder;
 		}
+		return messages;
 	}
 
 	/**
-	 * Unselect an option
+	 * Get a message, filling in its parameters and picking the plural form for the count
 	 */
-	_unselectOption(event) {
-		const newValue = [...this._config.value];
-		let index;
-		if (!event.target) {
-			index = newValue.indexOf(event);
-		} else {
-			index = newValue.indexOf(event.target.dataset.value);
+	_getMessage(key, params = {}) {
+		let message = this._messages[key];
+		if (message && typeof message === "object") {
+			message = message[this._pluralRules.select(params.count)] || message.other;
 		}
+		return (message || "").replace(/\{(\w+)\}/g, (match, name) => name in params ? params[name] : match);
+	}
 
-		// eslint-disable-next-line no-magic-numbers
-		if (index !== -1) {
-			newValue.splice(index, 1);
+	/**
+	 * Lay out the control from right to left for right-to-left languages
+	 */
+	_setDirection() {
+		const dir = this._config.dir || this._messages.dir;
+		if (dir) {
+			this._select.setAttribute("dir", dir);
+			this._optionsDiv.setAttribute("dir", dir);
 		}
 
-		this._setValue(newValue, true, true);
+		// Without a direction the control follows the direction of the page
+		const rtl = (dir || window.getComputedStyle(this._select.get()).direction) === "rtl";
+		this._select.toggleClass("multi-select__select--rtl", rtl);
+		this._optionsDiv.toggleClass("multi-select__options--rtl", rtl);
 	}
 
 	/**
-	 * Sort the options
+	 * Show a message in the status row of the dropdown, hiding the row if there is no message
 	 */
-	_sortOptions(event) {
-		this._options.forEach(_option => {
-			if (!_option.get().textContent.toLowerCase().includes(event.target.value.toLowerCase()) &&
-					!_option.get().classList.contains("multi-select__option--group_header")) {
-				_option.addClass("multi-select__option--hidden");
-				return;
-			}
-			_option.removeClass("multi-select__option--hidden");
-		});
+	_setStatus(message) {
+		if (!this._status) {
+			return;
+		}
+		this._status.setText(message);
+		this._status.toggleClass("multi-select__status--hidden", !message);
 	}
 
 	/**
 	 * Remove the hidden class from all of the options
 	 */
 	_removeAllHiddenClass() {
-		this._options.forEach(_option => {
-			_option.removeClass("multi-select__option--hidden");
-		});
+		if (this._virtual) {
+			this._filterVirtual("");
+		} else {
+			this._filterOptions("");
+		}
+		this._setStatus("");
 	}
 
 	/**
@@ -814,8 +3975,290 @@ class MultiSelect2 {
 			if (elements[i] !== this._select.get()) {
 				if (elements[i].classList.contains("multi-select__select--opened")) {
 					elements[i].classList.remove("multi-select__select--opened");
+					// The dropdown may have been moved out of the control, so find it through its listbox
+					const listbox = document.getElementById(`${elements[i].id}-listbox`);
+					const dropdown = listbox ? listbox.parentElement : null;
+					if (dropdown) {
+						dropdown.classList.remove("multi-select__options--opened");
+					}
+					setExpanded(elements[i], dropdown ? dropdown.querySelector(".multi-select__autocomplete") : null, false);
 				}
 			}
 		}
 	}
 }
+
+// Base class of the custom element, which is a plain class where HTMLElement doesn't exist, such as in node
+const ComponentBase = typeof HTMLElement !== "undefined" ? HTMLElement : class {};
+
+/**
+ * The <multi-select2> custom element, which wraps the control in a shadow root and takes part in forms like a native select
+ */
+class MultiSelect2Component extends ComponentBase {
+	constructor() {
+		super();
+		this._internals = this.attachInternals ? this.attachInternals() : null;
+		this._control = null;
+		this._value = undefined;
+
+		// Prepare event listeners for later use
+		this._boundHandleChange = this._handleChange.bind(this);
+		this._boundHandleInvalid = this._handleInvalid.bind(this);
+		this._observer = new MutationObserver(this._handleMutations.bind(this));
+	}
+
+	/**
+	 * Let the element submit and validate its value with its form
+	 */
+	static get formAssociated() {
+		return true;
+	}
+
+	/**
+	 * Attributes that are passed on to the config of the control
+	 */
+	static get observedAttributes() {
+		return ["multiple", "autocomplete", "name", "placeholder", "disabled", "readonly", "required"];
+	}
+
+	/**
+	 * The MultiSelect2 instance rendered inside the element
+	 */
+	get control() {
+		return this._control;
+	}
+
+	/**
+	 * The selected value, an array when using multiple
+	 */
+	get value() {
+		return this._control ? this._control.getValue() : this._value;
+	}
+
+	set value(value) {
+		this._value = value;
+		if (this._control) {
+			this._control.setValue(value, {silent: true});
+			this._updateForm();
+		}
+	}
+
+	get name() {
+		return this.getAttribute("name");
+	}
+
+	get form() {
+		return this._internals ? this._internals.form : null;
+	}
+
+	get validity() {
+		return this._internals ? this._internals.validity : null;
+	}
+
+	get validationMessage() {
+		return this._internals ? this._internals.validationMessage : "";
+	}
+
+	checkValidity() {
+		return this._internals ? this._internals.checkValidity() : true;
+	}
+
+	reportValidity() {
+		return this._internals ? this._internals.reportValidity() : true;
+	}
+
+	connectedCallback() {
+		if (!this.shadowRoot) {
+			const root = this.attachShadow({mode: "open", delegatesFocus: true});
+			const style = document.createElement("style");
+			style.textContent = ":host { display: block; }";
+			root.append(style);
+
+			// Styles of the page don't reach into the shadow root, so link the stylesheets again inside it
+			MultiSelect2Component.stylesheets.forEach(_href => {
+				const link = document.createElement("link");
+				link.rel = "stylesheet";
+				link.href = _href;
+				root.append(link);
+			});
+			this.addEventListener("invalid", this._boundHandleInvalid);
+		}
+
+		// Options can be added, changed or removed after the element is connected
+		this._observer.observe(this, {childList: true, subtree: true, attributes: true, characterData: true});
+		this._render();
+	}
+
+	disconnectedCallback() {
+		this._observer.disconnect();
+		this._destroyControl();
+	}
+
+	attributeChangedCallback(name, oldValue, newValue) {
+		if (!this._control || oldValue === newValue) {
+			return;
+		}
+
+		if (name === "disabled") {
+			this._setDisabled(newValue !== null);
+		} else if (name === "readonly") {
+			this._control.setReadOnly(newValue !== null);
+		} else if (name === "name") {
+			this._updateForm();
+		} else {
+			this._render();
+		}
+	}
+
+	formDisabledCallback(disabled) {
+		this._formDisabled = disabled;
+		if (this._control) {
+			this._setDisabled(disabled || this.hasAttribute("disabled"));
+		}
+	}
+
+	formResetCallback() {
+		// Go back to the selected option children
+		this._destroyControl();
+		this._value = undefined;
+		if (this.isConnected) {
+			this._render();
+		}
+	}
+
+	formStateRestoreCallback(state) {
+		this.value = state instanceof FormData ? state.getAll(this.name) : state;
+	}
+
+	/**
+	 * Create the control from the attributes and option children, keeping the current value
+	 */
+	_render() {
+		const value = this._control ? this._control.getValue() : this._value;
+		this._destroyControl();
+
+		const config = {
+			options: MultiSelect2._readNativeOptions(this),
+			multiple: this.hasAttribute("multiple"),
+			autocomplete: this.hasAttribute("autocomplete"),
+			placeholder: this.getAttribute("placeholder"),
+			required: this.hasAttribute("required"),
+			readonly: this.hasAttribute("readonly"),
+			ariaLabel: this._getLabel(),
+		};
+		if (value === undefined) {
+			// Use the selected option children until a value is set
+			const selected = Array.from(this.querySelectorAll("option[selected]")).map(_option => _option.value);
+			config.value = config.multiple ? selected : (selected[0] ?? "");
+		} else if (Array.isArray(value) && !config.multiple) {
+			config.value = value[0] ?? "";
+		} else {
+			config.value = value;
+		}
+
+		this._host = document.createElement("div");
+		this._host.setAttribute("part", "base");
+		this.shadowRoot.append(this._host);
+		this._control = new MultiSelect2(this._host, config);
+		instances.set(this, this._control);
+		this._host.addEventListener("multiselect:change", this._boundHandleChange);
+		this._setDisabled(this._formDisabled || this.hasAttribute("disabled"));
+		this._updateForm();
+	}
+
+	/**
+	 * Remove the control from the shadow root
+	 */
+	_destroyControl() {
+		if (!this._control) {
+			return;
+		}
+
+		this._host.removeEventListener("multiselect:change", this._boundHandleChange);
+		this._control.destroy();
+		this._host.remove();
+		instances.delete(this);
+		this._control = null;
+	}
+
+	/**
+	 * Name the control after the aria-label attribute or the labels of the element
+	 */
+	_getLabel() {
+		if (this.getAttribute("aria-label")) {
+			return this.getAttribute("aria-label");
+		}
+		const labels = this._internals && this._internals.labels ? Array.from(this._internals.labels) : [];
+		return labels.map(_label => _label.textContent.trim()).join(" ") || undefined;
+	}
+
+	/**
+	 * Enable or disable the control
+	 */
+	_setDisabled(disabled) {
+		if (disabled) {
+			this._control.disable();
+		} else {
+			this._control.enable();
+		}
+	}
+
+	/**
+	 * Pass the value and validity of the control on to the form
+	 */
+	_updateForm() {
+		this._value = this._control.getValue();
+		if (!this._internals) {
+			return;
+		}
+
+		const values = [].concat(this._value).filter(_value => _value !== undefined && _value !== null && _value !== "");
+		let data = null;
+		if (this.name) {
+			data = new FormData();
+			values.forEach(_value => data.append(this.name, getValueKey(_value)));
+		}
+		this._internals.setFormValue(data);
+
+		const message = this._control.getValidationMessage();
+		if (message) {
+			this._internals.setValidity({customError: true}, message, this._host);
+		} else {
+			this._internals.setValidity({});
+		}
+	}
+
+	/**
+	 * Render the control again when the option children change, the attributes of the element itself are handled separately
+	 */
+	_handleMutations(mutations) {
+		if (mutations.some(_mutation => _mutation.type !== "attributes" || _mutation.target !== this)) {
+			this._render();
+		}
+	}
+
+	/**
+	 * Update the form and fire the input and change events of a native select when the value changes
+	 */
+	_handleChange() {
+		this._updateForm();
+		this.dispatchEvent(new Event("input", {bubbles: true, composed: true}));
+		this.dispatchEvent(new Event("change", {bubbles: true}));
+	}
+
+	/**
+	 * Show the control as invalid once the form has been validated
+	 */
+	_handleInvalid() {
+		if (this._control) {
+			this._control._handleInvalid();
+		}
+	}
+}
+
+// Stylesheets linked inside the shadow root of each <multi-select2> element
+MultiSelect2Component.stylesheets = [];
+
+if (typeof customElements !== "undefined" && !customElements.get("multi-select2")) {
+	customElements.define("multi-select2", MultiSelect2Component);
+}